@@ -12,11 +12,22 @@ class NMRSampleManager {
         this.formComponent = null;
         this.currentReactRoot = null;
         this.currentOperation = null; // Track ongoing operations: 'creating-new', 'duplicating', null
+        this.unknownFields = []; // Fields outside the schema, kept out of the edit form and restored on save
+        this.formMetadata = null; // Metadata of the sample in the edit form, restored on save
+        this.refreshPending = false; // Directory changed while editing; refresh once the form closes
+        this.editSession = null; // Existing sample open for editing: { filename, dirHandle, base, state, heartbeatTimer }
+        this.lockHeartbeatInterval = 60 * 1000; // ms between edit lock refreshes
 
         // Bind event handlers
         this.fileManager.onDirectoryChanged = this.handleDirectoryChanged.bind(this);
         this.fileManager.onSamplesChanged = this.handleSamplesChanged.bind(this);
         this.fileManager.onRootDirectoryChanged = this.handleRootDirectoryChanged.bind(this);
+        this.fileManager.onWorkspacesChanged = this.handleWorkspacesChanged.bind(this);
+        this.fileManager.onLabConfigChanged = this.handleLabConfigChanged.bind(this);
+        this.fileManager.onDirectoryContentsChanged = this.handleDirectoryContentsChanged.bind(this);
+        this.fileManager.setSchemaHandler(this.schemaHandler);
+        this.definitionsCache = new DefinitionsCache(this.fileManager.storage);
+        this.sampleIndex = new SampleIndex(this.fileManager);
 
         this.init();
     }
@@ -29,21 +40,23 @@ class NMRSampleManager {
                 return;
             }
 
-            // Initialize FileManager with storage
-            await this.fileManager.initialize();
-
-            // Load migrations and pass to FileManager so readSample can auto-migrate
-            if (typeof loadMigrations === 'function') {
-                try {
-                    const migrations = await loadMigrations();
-                    this.fileManager.setMigrations(migrations);
-                } catch (e) {
-                    console.warn('Could not load migrations:', e);
-                }
+            // Load the pinned schema and migrations first (from the cache if offline),
+            // so samples can be migrated and validated as soon as they are scanned
+            await this.fileManager.storage.initialize();
+            const definitions = await this.definitionsCache.load();
+            await this.schemaHandler.loadSchema(definitions.schema);
+            if (definitions.migrations) {
+                this.fileManager.setMigrations(definitions.migrations);
+                this.checkMigrationsMatchSchema(definitions.migrations);
+            } else {
+                console.warn('Migrations not available - samples will not be migrated');
             }
+            this.checkDefinitionsOutdated();
+            this.showDefinitionsStatus();
 
-            // Load schema
-            await this.schemaHandler.loadSchema();
+            // Initialize FileManager with storage (scans the stored root directory)
+            await this.fileManager.initialize();
+            this.startBackgroundIndexing();
 
             // Setup UI event listeners
             this.setupEventListeners();
@@ -60,6 +73,92 @@ class NMRSampleManager {
         }
     }
 
+    /**
+     * Warn if the migration chain does not end at the loaded schema version,
+     * since migrated samples would then not match the schema used for editing
+     */
+    checkMigrationsMatchSchema(migrations) {
+        const schemaVersion = this.schemaHandler.getSchemaVersion();
+        const migrationVersion = getLatestMigrationVersion(migrations);
+        if (migrationVersion !== schemaVersion) {
+            console.warn(`Schema/migration version mismatch: migrations end at ${migrationVersion}, ` +
+                `but the loaded schema is version ${schemaVersion}. Samples may not migrate correctly.`);
+        }
+    }
+
+    /**
+     * Block saving while the pinned schema is older than the app writes, and
+     * ask the user to accept the update that lifts the block
+     */
+    checkDefinitionsOutdated() {
+        if (!this.definitionsCache.isOutdated()) return;
+
+        const active = this.definitionsCache.active;
+        this.fileManager.writeBlockedReason = `Samples cannot be saved with schema v${active.schemaVersion || '?'}; ` +
+            `apply the schema update to v${DefinitionsCache.requiredSchemaVersion} or later first`;
+        if (this.definitionsCache.update) {
+            this.applyDefinitionsUpdate();
+        }
+    }
+
+    /**
+     * Show the active schema and migration set in the sidebar, and offer any
+     * newer set for the user to accept
+     */
+    showDefinitionsStatus() {
+        const container = document.getElementById('definitions-status');
+        if (!container) return;
+
+        const active = this.definitionsCache.active;
+        const update = this.definitionsCache.update;
+        const pinnedDate = new Date(active.timestamp).toLocaleDateString();
+
+        container.innerHTML = `
+            <div title="Pinned ${this.escapeHtml(pinnedDate)} (${this.escapeHtml(active.source)})">
+                Schema v${this.escapeHtml(active.schemaVersion || '?')},
+                migrations ${active.migrationVersion ? `to v${this.escapeHtml(active.migrationVersion)}` : 'unavailable'}
+                ${this.definitionsCache.offline ? '<span class="definitions-offline">(cached copy, offline)</span>' : ''}
+            </div>
+            ${this.fileManager.writeBlockedReason ? `
+                <div class="definitions-update">${this.escapeHtml(this.fileManager.writeBlockedReason)}.</div>
+            ` : ''}
+            ${update ? `
+                <div class="definitions-update">
+                    Update available: schema v${this.escapeHtml(update.schemaVersion || '?')},
+                    migrations to v${this.escapeHtml(update.migrationVersion || '?')}
+                    <button id="apply-definitions-update" class="btn btn-default btn-sm">Apply</button>
+                </div>
+            ` : ''}
+        `;
+
+        const applyButton = document.getElementById('apply-definitions-update');
+        if (applyButton) {
+            applyButton.addEventListener('click', () => this.applyDefinitionsUpdate());
+        }
+    }
+
+    async applyDefinitionsUpdate() {
+        const update = this.definitionsCache.update;
+        const blocked = this.fileManager.writeBlockedReason
+            ? `Samples cannot be saved until you switch: the pinned schema v${this.definitionsCache.active.schemaVersion || '?'} ` +
+                'lacks fields this version of the app writes.\n\n'
+            : '';
+        const confirmed = confirm(
+            blocked +
+            `Switch to schema v${update.schemaVersion || '?'} with migrations to v${update.migrationVersion || '?'}?\n\n` +
+            'Samples will be migrated to this version when they are next saved. The app will reload.'
+        );
+        if (!confirmed) return;
+
+        try {
+            await this.definitionsCache.applyUpdate();
+            window.location.reload();
+        } catch (error) {
+            console.error('Error applying schema update:', error);
+            this.showError('Failed to apply update: ' + error.message);
+        }
+    }
+
     async handleURLParameters() {
         const urlParams = new URLSearchParams(window.location.search);
         const folderParam = urlParams.get('folder');
@@ -91,7 +190,7 @@ class NMRSampleManager {
                 if (relativePath) {
                     // Check if we have permissions first
                     try {
-                        const permissionStatus = await this.fileManager.rootDirectoryHandle.queryPermission({ mode: 'readwrite' });
+                        const permissionStatus = await this.fileManager.rootDirectoryHandle.queryPermission({ mode: this.fileManager.permissionMode });
                         if (permissionStatus === 'granted') {
                             // We have permissions, try automatic navigation
                             await this.fileManager.navigateToSubfolder(relativePath);
@@ -167,6 +266,9 @@ class NMRSampleManager {
         if (!actionParam) return;
 
         try {
+            if (this.fileManager.readOnly && ['eject', 'inject'].includes(actionParam)) {
+                throw new Error('not available while the workspace is open read-only');
+            }
             if (actionParam === 'eject') {
                 await this.ejectMostRecentSample();
             } else if (actionParam === 'inject') {
@@ -238,6 +340,9 @@ class NMRSampleManager {
                     <button id="inject-duplicate-sample" class="btn btn-info">
                         Duplicate Most Recent
                     </button>
+                    <button id="inject-reinject-sample" class="btn btn-default">
+                        Re-inject Most Recent
+                    </button>
                 </div>
                 <p style="margin-top: 1rem; font-size: 0.9rem; color: #6c757d;">
                     <em>Tip: You can also select any sample from the list on the left and use the "Duplicate" button.</em>
@@ -260,6 +365,13 @@ class NMRSampleManager {
                 this.duplicateSelectedSample();
                 welcomeMessage.innerHTML = '<p class="form-placeholder">Duplicating sample for injection...</p>';
             });
+
+            document.getElementById('inject-reinject-sample').addEventListener('click', () => {
+                console.log('User chose to re-inject most recent sample');
+                this.currentOperation = null; // Clear inject prompt operation
+                this.selectedSampleFile = mostRecentSample;
+                this.reinjectSelectedSample();
+            });
         }
     }
 
@@ -294,6 +406,27 @@ class NMRSampleManager {
             this.setRootDirectory();
         });
 
+        document.getElementById('root-folder').addEventListener('click', () => {
+            this.editRootDisplayPath();
+        });
+
+        // Workspace switcher
+        document.getElementById('workspace-select').addEventListener('change', (e) => {
+            this.switchWorkspace(e.target.value);
+        });
+
+        document.getElementById('add-workspace').addEventListener('click', () => {
+            this.addWorkspace();
+        });
+
+        document.getElementById('remove-workspace').addEventListener('click', () => {
+            this.removeWorkspace();
+        });
+
+        document.getElementById('access-mode').addEventListener('click', () => {
+            this.toggleReadOnly();
+        });
+
         // Subfolder selection
         document.getElementById('browse-subfolder').addEventListener('click', () => {
             this.selectSubfolder();
@@ -304,15 +437,51 @@ class NMRSampleManager {
             this.showTimeline();
         });
 
+        // Bulk migration button
+        document.getElementById('migrate-all').addEventListener('click', () => {
+            this.showBulkMigration();
+        });
+
+        // Sample search button
+        document.getElementById('search-samples').addEventListener('click', () => {
+            this.showSampleSearch();
+        });
+
+        // Release any edit lock when the page is closed
+        window.addEventListener('pagehide', () => this.endEditSession());
+
         // Sample management buttons
         document.getElementById('new-sample').addEventListener('click', () => {
             this.createNewSample();
         });
 
+        document.getElementById('import-sample').addEventListener('click', () => {
+            this.importSamplesFromPicker();
+        });
+
         document.getElementById('duplicate-sample').addEventListener('click', () => {
             this.duplicateSelectedSample();
         });
 
+        // Sample files dropped anywhere on the window are imported
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+        window.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            document.body.classList.add('drag-import');
+        });
+        window.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) {
+                document.body.classList.remove('drag-import');
+            }
+        });
+        window.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            document.body.classList.remove('drag-import');
+            this.importSampleFiles(Array.from(e.dataTransfer.files));
+        });
+
         document.getElementById('edit-sample').addEventListener('click', () => {
             this.editSelectedSample();
         });
@@ -320,17 +489,186 @@ class NMRSampleManager {
         document.getElementById('eject-sample').addEventListener('click', () => {
             this.ejectSelectedSample();
         });
+
+        document.getElementById('archive-sample').addEventListener('click', () => {
+            this.removeSelectedSample('archive');
+        });
+
+        document.getElementById('delete-sample').addEventListener('click', () => {
+            this.removeSelectedSample('trash');
+        });
+
+        document.getElementById('show-trash').addEventListener('click', () => {
+            this.showTrash();
+        });
     }
 
     async setRootDirectory() {
+        if (!this.confirmLeaveEdit()) return;
         try {
-            await this.fileManager.setRootDirectory();
+            if (await this.fileManager.setRootDirectory()) {
+                this.rootDirectoryReplaced();
+            }
         } catch (error) {
             console.error('Error setting root directory:', error);
             this.showError('Failed to set root directory: ' + error.message);
         }
     }
 
+    /**
+     * Ask before a change of root directory closes an open edit form
+     */
+    confirmLeaveEdit() {
+        return !this.isEditingSample()
+            || confirm('A sample is being edited. Discard your changes?');
+    }
+
+    /**
+     * Reset the views and the search index after the root directory changed
+     */
+    rootDirectoryReplaced() {
+        this.clearForm();
+        this.sampleIndex.clear();
+        this.startBackgroundIndexing();
+    }
+
+    handleWorkspacesChanged(workspaces, activeName) {
+        const select = document.getElementById('workspace-select');
+        select.innerHTML = '';
+        for (const workspace of workspaces) {
+            const option = document.createElement('option');
+            option.value = workspace.name;
+            option.textContent = workspace.readOnly ? `${workspace.name} (read-only)` : workspace.name;
+            option.title = workspace.displayPath || workspace.rootName;
+            select.appendChild(option);
+        }
+        if (!activeName) {
+            select.insertBefore(new Option('None', '', true, true), select.firstChild);
+        }
+        select.value = activeName || '';
+        select.disabled = workspaces.length === 0;
+        document.getElementById('remove-workspace').disabled = !activeName;
+        this.showAccessMode();
+    }
+
+    /**
+     * Show whether the active workspace is read-only, hiding every control
+     * that would change files (marked with the requires-write class)
+     */
+    showAccessMode() {
+        const readOnly = this.fileManager.readOnly;
+        const button = document.getElementById('access-mode');
+        document.body.classList.toggle('read-only', readOnly || Boolean(this.fileManager.writeBlockedReason));
+
+        button.style.display = this.fileManager.workspace ? '' : 'none';
+        button.classList.toggle('btn-warning', readOnly);
+        button.classList.toggle('btn-default', !readOnly);
+        button.textContent = readOnly ? 'Read-only' : 'Read/write';
+        button.title = readOnly
+            ? 'Files in this workspace cannot be changed. Click to ask for write access.'
+            : 'Click to browse this workspace read-only, without any risk of changing files';
+    }
+
+    async toggleReadOnly() {
+        const readOnly = !this.fileManager.readOnly;
+        if (readOnly) {
+            if (!this.confirmLeaveEdit()) return;
+            if (this.isEditingSample()) {
+                this.currentOperation = null;
+                this.clearForm();
+            }
+        }
+
+        try {
+            await this.fileManager.setReadOnly(readOnly);
+        } catch (error) {
+            console.error('Error changing access mode:', error);
+            this.showError('Failed to change access mode: ' + error.message);
+        }
+    }
+
+    /**
+     * Switch to another workspace; access to its root directory is checked
+     * (and asked for if needed) only now
+     */
+    async switchWorkspace(name) {
+        const select = document.getElementById('workspace-select');
+        const previous = this.fileManager.workspace?.name || '';
+        if (!name || name === previous) return;
+
+        if (!this.confirmLeaveEdit()) {
+            select.value = previous;
+            return;
+        }
+        this.clearForm();
+        try {
+            await this.fileManager.switchWorkspace(name);
+            this.rootDirectoryReplaced();
+        } catch (error) {
+            console.error(`Error switching to workspace ${name}:`, error);
+            this.showError(`Failed to switch to workspace ${name}: ${error.message}`);
+            select.value = previous;
+        }
+    }
+
+    async addWorkspace() {
+        const name = (prompt('Name of the new workspace (e.g. 600 MHz, Archive):') || '').trim();
+        if (!name) return;
+
+        const workspaces = await this.fileManager.listWorkspaces();
+        if (workspaces.some(workspace => workspace.name === name)) {
+            this.showError(`A workspace named ${name} already exists`);
+            return;
+        }
+        const displayPath = (prompt('Full path of its root directory, shown under Directories (optional):') || '').trim();
+        const readOnly = confirm(`Open ${name} read-only? Choose OK to browse it without any risk of changing files ` +
+            '(for example an archive share), or Cancel for full access.');
+        if (!this.confirmLeaveEdit()) return;
+
+        try {
+            if (await this.fileManager.setRootDirectory(name, displayPath || null, readOnly)) {
+                this.rootDirectoryReplaced();
+                this.showSuccess(`Added workspace ${name}`);
+            }
+        } catch (error) {
+            console.error('Error adding workspace:', error);
+            this.showError('Failed to add workspace: ' + error.message);
+        }
+    }
+
+    async removeWorkspace() {
+        const workspace = this.fileManager.workspace;
+        if (!workspace) return;
+        if (!confirm(`Remove workspace ${workspace.name}? The files in its root directory are not affected.`)) return;
+        if (!this.confirmLeaveEdit()) return;
+
+        try {
+            await this.fileManager.removeWorkspace(workspace.name);
+            this.rootDirectoryReplaced();
+        } catch (error) {
+            console.error('Error removing workspace:', error);
+            this.showError('Failed to remove workspace: ' + error.message);
+        }
+    }
+
+    /**
+     * Let the user give the full path of the root directory, which the File
+     * System Access API does not reveal, for display
+     */
+    async editRootDisplayPath() {
+        if (!this.fileManager.workspace) return;
+        const path = prompt('Full path of the root directory (leave empty to show the folder name):',
+            this.getStoredRootPath() || '');
+        if (path === null) return;
+
+        try {
+            await this.setStoredRootPath(path.trim());
+        } catch (error) {
+            console.error('Error storing root path:', error);
+            this.showError('Failed to store root path: ' + error.message);
+        }
+    }
+
     async selectSubfolder() {
         try {
             // First try to request permissions for current directory if needed
@@ -347,6 +685,22 @@ class NMRSampleManager {
         }
     }
 
+    handleLabConfigChanged(config, error, warnings) {
+        const statusElement = document.getElementById('lab-config-status');
+        const filename = this.fileManager.labConfigFilename;
+
+        if (error) {
+            this.showError(`Could not read ${filename}: ${error.message}`);
+        } else if (warnings.length > 0) {
+            this.showError(`Some entries in ${filename} were ignored:\n${warnings.join('\n')}`);
+        }
+
+        if (statusElement) {
+            statusElement.textContent = config ? `Lab config: ${filename}` : '';
+            statusElement.title = warnings.join('\n');
+        }
+    }
+
     handleRootDirectoryChanged(rootDirectoryName) {
         const rootElement = document.getElementById('root-folder');
         if (rootDirectoryName) {
@@ -358,15 +712,35 @@ class NMRSampleManager {
             rootElement.textContent = 'No root directory set';
             rootElement.style.color = '#6c757d';
         }
+
+        document.getElementById('migrate-all').disabled = !rootDirectoryName;
+        document.getElementById('search-samples').disabled = !rootDirectoryName;
+    }
+
+    /**
+     * Index every sample under the root directory in the background,
+     * if access has already been granted (otherwise indexing waits for search)
+     */
+    async startBackgroundIndexing() {
+        const root = this.fileManager.rootDirectoryHandle;
+        if (!root) return;
+
+        try {
+            if (await root.queryPermission({ mode: this.fileManager.permissionMode }) !== 'granted') return;
+            await this.sampleIndex.build();
+            console.log(`Indexed ${this.sampleIndex.entries.length} samples`);
+        } catch (error) {
+            console.warn('Background indexing failed:', error);
+        }
     }
 
     getStoredRootPath() {
-        // Try to get full path from localStorage if previously stored
-        return localStorage.getItem('nmr-root-path');
+        // Full path given by the user for the active workspace, if any
+        return this.fileManager.workspace?.displayPath || null;
     }
 
-    setStoredRootPath(path) {
-        localStorage.setItem('nmr-root-path', path);
+    async setStoredRootPath(path) {
+        await this.fileManager.setWorkspaceDisplayPath(path);
     }
 
     handleDirectoryChanged(directoryName) {
@@ -379,6 +753,65 @@ class NMRSampleManager {
         timelineBtn.disabled = !directoryName;
     }
 
+    /**
+     * Refresh the sample list and the open view in place when files in the
+     * current directory change, e.g. when TopSpin starts a new experiment.
+     * Deferred while a sample is being edited so the form is not lost.
+     */
+    async handleDirectoryContentsChanged(changedNames) {
+        if (this.isEditingSample()) {
+            this.refreshPending = true;
+            return;
+        }
+        this.refreshPending = false;
+        console.log('Directory contents changed:', changedNames);
+
+        const contentArea = document.getElementById('sample-form');
+        const showingTimeline = contentArea.querySelector('.timeline-view') !== null;
+        const showingSample = contentArea.querySelector('.sample-details') !== null && this.selectedSampleFile;
+        const scrollTop = contentArea.scrollTop;
+
+        // Keep the current view rather than auto-selecting a sample
+        const previousOperation = this.currentOperation;
+        this.currentOperation = this.currentOperation || 'refreshing';
+        try {
+            await this.fileManager.scanForSamples();
+        } catch (error) {
+            console.error('Error refreshing samples:', error);
+            return;
+        } finally {
+            this.currentOperation = previousOperation;
+        }
+        if (this.selectedSampleFile) {
+            this.updateButtonStates(true);
+        }
+
+        if (showingTimeline) {
+            await this.showTimeline();
+        } else if (showingSample && this.selectedSampleFile) {
+            await this.loadAndDisplaySample(this.selectedSampleFile);
+        }
+        contentArea.scrollTop = scrollTop;
+    }
+
+    /**
+     * Whether an edit form (rather than a read-only view) is open
+     */
+    isEditingSample() {
+        const contentArea = document.getElementById('sample-form');
+        return contentArea.querySelector('form.rjsf') !== null
+            && contentArea.querySelector('.original-sample-form') === null;
+    }
+
+    /**
+     * Apply a refresh that was deferred while a sample was being edited
+     */
+    flushPendingRefresh() {
+        if (this.refreshPending && !this.isEditingSample()) {
+            this.handleDirectoryContentsChanged([]);
+        }
+    }
+
     async handleSamplesChanged(sampleFilenames) {
         console.log('Samples changed:', sampleFilenames);
         const sampleList = document.getElementById('sample-list');
@@ -456,6 +889,9 @@ class NMRSampleManager {
 
         const statusSpan = document.createElement('span');
         statusSpan.className = 'sample-status';
+
+        const versionSpan = document.createElement('span');
+        versionSpan.className = 'sample-version';
         
         try {
             // Load sample data to get the label
@@ -468,22 +904,41 @@ class NMRSampleManager {
             labelSpan.title = sampleLabel; // Show full label on hover
             
             const status = await this.fileManager.getSampleStatus(filename);
-            // Only show EJECTED status, hide others
+            // Only show EJECTED and INVALID statuses, hide others
             if (status === 'ejected') {
                 statusSpan.textContent = 'EJECTED';
                 statusSpan.classList.add('status-ejected');
+            } else if (this.fileManager.getValidationErrors(filename).length > 0) {
+                statusSpan.textContent = 'INVALID';
+                statusSpan.classList.add('status-invalid');
+                statusSpan.title = 'Sample does not match the schema - select it to see details';
             } else {
                 statusSpan.style.display = 'none';
             }
+
+            const version = this.fileManager.getSampleVersion(filename);
+            if (version) {
+                versionSpan.textContent = `v${version}`;
+                versionSpan.title = `Written with schema version ${version}`;
+                if (version !== this.schemaHandler.getSchemaVersion()) {
+                    versionSpan.classList.add('sample-version-old');
+                }
+            }
         } catch (error) {
             // Fallback to filename if sample can't be read
             labelSpan.textContent = filename;
-            statusSpan.textContent = 'ERROR';
+            if (error.name === 'SampleVersionError') {
+                statusSpan.textContent = error.version ? `v${error.version}` : 'UNKNOWN VERSION';
+                statusSpan.title = error.message;
+            } else {
+                statusSpan.textContent = 'ERROR';
+            }
             statusSpan.classList.add('status-error');
         }
 
         item.appendChild(radio);
         item.appendChild(labelSpan);
+        item.appendChild(versionSpan);
         item.appendChild(statusSpan);
 
         return item;
@@ -491,6 +946,7 @@ class NMRSampleManager {
 
     async selectSample(filename) {
         console.log('Selecting sample:', filename);
+        this.endEditSession();
         this.selectedSampleFile = filename;
         
         // Update UI selection
@@ -511,6 +967,7 @@ class NMRSampleManager {
         
         // Load and display sample data in read-only mode
         await this.loadAndDisplaySample(filename);
+        this.flushPendingRefresh();
     }
     
     showLoadingMessage() {
@@ -519,7 +976,7 @@ class NMRSampleManager {
         // Always unmount React components first
         if (this.currentReactRoot) {
             try {
-                ReactDOM.unmountComponentAtNode(formContainer);
+                ReactDOM.unmountComponentAtNode(this.currentReactRoot);
             } catch (e) {
                 console.warn('Error unmounting React component for loading:', e);
             }
@@ -535,7 +992,7 @@ class NMRSampleManager {
             console.log('Available samples in cache:', Array.from(this.fileManager.sampleFiles.keys()));
             const data = await this.fileManager.readSample(filename);
             console.log('Sample data loaded:', data);
-            this.renderForm(data, false); // false = read-only
+            await this.renderForm(data, false); // false = read-only
         } catch (error) {
             console.error('Error loading sample for display:', error);
             console.error('Error details:', error.message);
@@ -545,14 +1002,67 @@ class NMRSampleManager {
             const formContainer = document.getElementById('sample-form');
             if (this.currentReactRoot) {
                 try {
-                    ReactDOM.unmountComponentAtNode(formContainer);
+                    ReactDOM.unmountComponentAtNode(this.currentReactRoot);
                 } catch (e) {
                     console.warn('Error unmounting React component for error:', e);
                 }
                 this.currentReactRoot = null;
             }
-            formContainer.innerHTML = `<p class="error">Error loading sample data: ${error.message}</p>`;
+
+            await this.showOriginalSample(filename, error);
+        }
+    }
+
+    /**
+     * Show a sample that could not be loaded as the current schema version.
+     * Where its original schema version is known the file is shown read-only
+     * in a form for that schema, otherwise its raw contents are shown.
+     */
+    async showOriginalSample(filename, error) {
+        const formContainer = document.getElementById('sample-form');
+        // Editing would overwrite data the app does not understand
+        document.getElementById('edit-sample').disabled = true;
+        document.getElementById('duplicate-sample').disabled = true;
+
+        let original = null;
+        let rawText = '';
+        try {
+            original = await this.fileManager.readOriginalSample(filename);
+        } catch (originalError) {
+            console.warn('Could not load sample with its original schema:', originalError);
+            try {
+                rawText = await this.fileManager.readSampleText(filename);
+            } catch (readError) {
+                console.warn('Could not read raw sample text:', readError);
+            }
         }
+
+        formContainer.innerHTML = `
+            <div class="sample-details">
+                <div class="sample-details-header">
+                    <h3>${this.escapeHtml(filename)}</h3>
+                </div>
+                <div class="sample-details-body">
+                    <p class="error">Error loading sample data: ${this.escapeHtml(error.message)}</p>
+                    ${original
+                        ? `<p>The file has not been changed. It is shown read-only using schema v${this.escapeHtml(original.version)}, the version it was written with.</p>
+                           <div class="original-sample-form"></div>`
+                        : `<p>The file has not been changed. Its raw contents are shown below.</p>
+                           <pre class="raw-sample">${this.escapeHtml(rawText)}</pre>`}
+                </div>
+            </div>
+        `;
+
+        if (!original || !window.JSONSchemaForm) return;
+
+        const Form = window.JSONSchemaForm.default || window.JSONSchemaForm;
+        const formElement = React.createElement(Form, {
+            schema: original.schema,
+            formData: original.data,
+            disabled: true
+        }, React.createElement('div')); // Empty children hide the submit button
+        ReactDOM.render(formElement, formContainer.querySelector('.original-sample-form'));
+        this.currentReactRoot = formContainer.querySelector('.original-sample-form');
     }
 
     updateButtonStates(hasSelection) {
@@ -563,6 +1073,8 @@ class NMRSampleManager {
         duplicateBtn.disabled = !hasSelection;
         editBtn.disabled = !hasSelection;
         ejectBtn.disabled = !hasSelection;
+        document.getElementById('archive-sample').disabled = !hasSelection;
+        document.getElementById('delete-sample').disabled = !hasSelection;
     }
 
     async createNewSample() {
@@ -587,6 +1099,135 @@ class NMRSampleManager {
         }
     }
 
+    async importSamplesFromPicker() {
+        try {
+            const files = await this.fileManager.pickImportFiles();
+            if (files.length > 0) {
+                await this.importSampleFiles(files);
+            }
+        } catch (error) {
+            console.error('Error choosing files to import:', error);
+            this.showError('Failed to import samples: ' + error.message);
+        }
+    }
+
+    /**
+     * Import sample files into the current directory one at a time, asking
+     * for the created and ejected times of each
+     */
+    async importSampleFiles(files) {
+        if (!this.fileManager.currentDirectoryHandle) {
+            this.showError('Select a folder to import the samples into first.');
+            return;
+        }
+        if (this.fileManager.readOnly) {
+            this.showError('Samples cannot be imported while the workspace is open read-only.');
+            return;
+        }
+
+        const jsonFiles = files.filter(file => file.name.toLowerCase().endsWith('.json'));
+        if (jsonFiles.length < files.length) {
+            this.showError('Only .json sample files can be imported; other files were ignored.');
+        }
+        if (jsonFiles.length === 0) return;
+
+        this.currentOperation = 'importing';
+        const imported = [];
+        try {
+            for (let i = 0; i < jsonFiles.length; i++) {
+                let entry;
+                try {
+                    entry = await this.fileManager.readImportFile(jsonFiles[i]);
+                } catch (error) {
+                    console.error(`Error reading ${jsonFiles[i].name} for import:`, error);
+                    this.showError(`Could not import ${jsonFiles[i].name}: ${error.message}`);
+                    continue;
+                }
+
+                const times = await this.showImportPrompt(entry, i + 1, jsonFiles.length);
+                if (!times) continue;
+
+                try {
+                    imported.push(await this.fileManager.importSample(entry.data, times.created, times.ejected));
+                } catch (error) {
+                    console.error(`Error importing ${entry.name}:`, error);
+                    this.showError(`Could not import ${entry.name}: ${error.message}`);
+                }
+            }
+        } finally {
+            this.currentOperation = null;
+        }
+
+        if (imported.length > 0) {
+            await this.selectSample(imported[imported.length - 1]);
+            this.showSuccess(`Imported ${imported.length} sample${imported.length > 1 ? 's' : ''}`);
+        } else {
+            this.clearForm();
+        }
+    }
+
+    /**
+     * Show a file to be imported, with any migration and validation problems,
+     * and ask for its created and ejected times.
+     * Resolves to { created, ejected } (ejected may be null), or null to skip.
+     */
+    showImportPrompt(entry, position, total) {
+        // datetime-local inputs take local time without a timezone
+        const toInputValue = (date) => {
+            if (!date || isNaN(date)) return '';
+            const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+            return local.toISOString().slice(0, 19);
+        };
+        const metadata = entry.data.metadata || {};
+        const created = metadata.created_timestamp ? new Date(metadata.created_timestamp) : entry.lastModified;
+        const ejected = metadata.ejected_timestamp ? new Date(metadata.ejected_timestamp) : null;
+
+        this.clearForm();
+        const contentArea = document.getElementById('sample-form');
+        contentArea.innerHTML = `
+            <div class="import-view">
+                <h3>Import Sample${total > 1 ? ` (${position} of ${total})` : ''}</h3>
+                <p><strong>${this.escapeHtml(entry.name)}</strong>
+                    ${entry.data.sample?.label ? `— ${this.escapeHtml(entry.data.sample.label)}` : ''}</p>
+                ${this.generateMigrationSection(entry.report)}
+                ${this.generateValidationSection(entry.errors)}
+                <form id="import-form" class="import-form">
+                    <label>Created
+                        <input type="datetime-local" step="1" name="created" required class="form-control input-sm"
+                            value="${toInputValue(created)}">
+                    </label>
+                    <label>Ejected
+                        <input type="datetime-local" step="1" name="ejected" class="form-control input-sm"
+                            value="${toInputValue(ejected)}">
+                    </label>
+                    <p class="help-block">Leave Ejected empty if the sample is still in the magnet.
+                        The file will be saved in ${this.escapeHtml(this.fileManager.getFullCurrentPath())}.</p>
+                    <button type="submit" class="btn btn-primary btn-sm">Import</button>
+                    <button type="button" class="btn btn-default btn-sm" data-action="skip">${total > 1 ? 'Skip' : 'Cancel'}</button>
+                </form>
+            </div>
+        `;
+
+        const form = document.getElementById('import-form');
+        return new Promise(resolve => {
+            form.querySelector('[data-action="skip"]').addEventListener('click', () => resolve(null));
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const createdTime = new Date(form.elements.created.value);
+                const ejectedTime = form.elements.ejected.value ? new Date(form.elements.ejected.value) : null;
+                if (ejectedTime && ejectedTime < createdTime) {
+                    this.showError('The ejected time must be after the created time.');
+                    return;
+                }
+                if (entry.errors.length > 0
+                    && !confirm(`${entry.name} does not match the schema. Import it anyway?`)) {
+                    return;
+                }
+                resolve({ created: createdTime, ejected: ejectedTime });
+            });
+        });
+    }
+
     async duplicateSelectedSample() {
         if (!this.selectedSampleFile) return;
 
@@ -603,45 +1244,494 @@ class NMRSampleManager {
             const newData = await this.fileManager.readSample(newFilename);
             this.currentSample = newData;
             this.selectedSampleFile = newFilename;
+            await this.beginEditSession(newFilename, newData);
             this.renderForm(newData, true);
 
-        } catch (error) {
-            console.error('Error duplicating sample:', error);
-            this.showError('Failed to duplicate sample: ' + error.message);
+        } catch (error) {
+            console.error('Error duplicating sample:', error);
+            this.showError('Failed to duplicate sample: ' + error.message);
+        }
+    }
+
+    async editSelectedSample() {
+        if (!this.selectedSampleFile) return;
+
+        try {
+            const data = await this.fileManager.readSample(this.selectedSampleFile);
+            if (!await this.beginEditSession(this.selectedSampleFile, data)) return;
+            this.currentSample = data;
+            this.renderForm(data, true);
+        } catch (error) {
+            console.error('Error loading sample:', error);
+            this.showError('Failed to load sample: ' + error.message);
+        }
+    }
+
+    async ejectSelectedSample() {
+        if (!this.selectedSampleFile) return;
+
+        const confirmed = confirm(`Are you sure you want to eject sample: ${this.selectedSampleFile}?`);
+        if (!confirmed) return;
+        const location = prompt('Where will the sample be stored (e.g. 4 °C fridge)? Leave empty if it is not being kept.', '');
+
+        try {
+            console.log('Ejecting sample:', this.selectedSampleFile);
+            await this.fileManager.ejectSample(this.selectedSampleFile, location ? location.trim() : null);
+            
+            // Refresh the sample list to update status
+            console.log('Refreshing sample list after ejection');
+            await this.fileManager.scanForSamples();
+            
+            this.showSuccess('Sample ejected successfully');
+        } catch (error) {
+            console.error('Error ejecting sample:', error);
+            this.showError('Failed to eject sample: ' + error.message);
+        }
+    }
+
+    /**
+     * Put the selected (ejected) sample back into the magnet, ejecting any
+     * other sample that is still in
+     */
+    async reinjectSelectedSample() {
+        const filename = this.selectedSampleFile;
+        if (!filename) return;
+        if (!confirm(`Re-inject sample: ${filename}?`)) return;
+
+        try {
+            await this.ejectAllPreviousSamples();
+            await this.fileManager.reinjectSample(filename);
+            await this.fileManager.scanForSamples();
+            await this.selectSample(filename);
+        } catch (error) {
+            console.error('Error re-injecting sample:', error);
+            this.showError('Failed to re-inject sample: ' + error.message);
+        }
+    }
+
+    /**
+     * Ask before changing a sample that someone else has open for editing.
+     * Resolves true if nobody else holds its lock or the user confirms.
+     */
+    async confirmNotBeingEdited(filename, action) {
+        const lock = await this.fileManager.readSampleLock(filename);
+        if (!lock || lock.stale || lock.session === this.fileManager.sessionId) return true;
+        return confirm(`${lock.editor} is editing this sample. ${action} it anyway?`);
+    }
+
+    /**
+     * Move the selected sample to the dataset's trash or archive
+     */
+    async removeSelectedSample(bin) {
+        const filename = this.selectedSampleFile;
+        if (!filename) return;
+
+        const action = bin === 'archive' ? 'Archive' : 'Delete';
+        try {
+            if (!await this.confirmNotBeingEdited(filename, action)) return;
+            if (!confirm(`${action} ${filename}? It can be restored from the Trash view.`)) return;
+
+            this.endEditSession();
+            await this.fileManager.removeSample(filename, bin);
+            this.showSuccess(`Sample ${bin === 'archive' ? 'archived' : 'moved to the trash'}`);
+        } catch (error) {
+            console.error(`Error removing sample ${filename}:`, error);
+            this.showError(`Failed to ${action.toLowerCase()} sample: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show samples removed from the current folder, with restore and
+     * permanent delete actions
+     */
+    async showTrash() {
+        if (!this.fileManager.currentDirectoryHandle) {
+            this.showError('Select a folder first.');
+            return;
+        }
+
+        let removed;
+        try {
+            removed = await this.fileManager.listRemovedSamples();
+        } catch (error) {
+            console.error('Error listing removed samples:', error);
+            this.showError('Failed to load the trash: ' + error.message);
+            return;
+        }
+
+        const formatDateTime = (date) => date.toLocaleString('en-GB', {
+            day: 'numeric', month: 'short', year: 'numeric',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+        const renderTable = (entries, canPurge) => entries.length === 0 ? '<p>None.</p>' : `
+            <table class="timeline-table">
+                <thead>
+                    <tr><th>Sample</th><th>File</th><th>Removed</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => `
+                        <tr>
+                            <td>${this.escapeHtml(entry.label)}</td>
+                            <td><code>${this.escapeHtml(entry.filename)}</code></td>
+                            <td>${formatDateTime(entry.removed)}</td>
+                            <td>
+                                <button class="btn btn-default btn-sm requires-write" data-restore="${removed.indexOf(entry)}">Restore</button>
+                                ${canPurge ? `<button class="btn btn-danger btn-sm requires-write" data-purge="${removed.indexOf(entry)}">Delete permanently</button>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        const trash = removed.filter(entry => entry.bin === 'trash');
+        const archive = removed.filter(entry => entry.bin === 'archive');
+
+        this.clearForm();
+        const contentArea = document.getElementById('sample-form');
+        contentArea.innerHTML = `
+            <div class="sample-trash-view">
+                <h3>Trash</h3>
+                <p>Samples removed from ${this.escapeHtml(this.fileManager.getFullCurrentPath())}.
+                    ${trash.length > 0 ? '<button id="empty-trash" class="btn btn-danger btn-sm requires-write">Empty trash</button>' : ''}</p>
+                ${renderTable(trash, true)}
+                <h3>Archive</h3>
+                ${renderTable(archive, false)}
+            </div>
+        `;
+
+        contentArea.querySelectorAll('[data-restore]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const entry = removed[Number(button.dataset.restore)];
+                try {
+                    await this.fileManager.restoreRemovedSample(entry);
+                    await this.showTrash();
+                } catch (error) {
+                    console.error(`Error restoring ${entry.filename}:`, error);
+                    this.showError('Failed to restore sample: ' + error.message);
+                }
+            });
+        });
+        contentArea.querySelectorAll('[data-purge]').forEach(button => {
+            button.addEventListener('click', () => {
+                const entry = removed[Number(button.dataset.purge)];
+                this.purgeRemovedSamples([entry], `Permanently delete ${entry.filename}? This cannot be undone.`);
+            });
+        });
+        const emptyButton = document.getElementById('empty-trash');
+        if (emptyButton) {
+            emptyButton.addEventListener('click', () => {
+                this.purgeRemovedSamples(trash,
+                    `Permanently delete ${trash.length} sample${trash.length > 1 ? 's' : ''} in the trash? This cannot be undone.`);
+            });
+        }
+    }
+
+    async purgeRemovedSamples(entries, message) {
+        if (!confirm(message)) return;
+        try {
+            for (const entry of entries) {
+                await this.fileManager.deleteRemovedSample(entry);
+            }
+        } catch (error) {
+            console.error('Error deleting removed samples:', error);
+            this.showError('Failed to delete samples: ' + error.message);
+        }
+        await this.showTrash();
+    }
+
+    /**
+     * Run an action from a button in the details view of the sample data
+     */
+    async handleSampleDetailsAction(action, data) {
+        try {
+            if (action === 'export-version') {
+                await this.exportSelectedSampleAsVersion();
+            } else if (action === 'history') {
+                await this.showSampleHistory();
+            } else if (action === 'copy' || action === 'move') {
+                await this.transferSelectedSample(action);
+            } else if (action === 'reinject') {
+                await this.reinjectSelectedSample();
+            } else if (action === 'open-source') {
+                await this.openSearchResult(data.metadata.source);
+            }
+        } catch (error) {
+            console.error(`Error running sample action ${action}:`, error);
+            this.showError('Action failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Copy or move the selected sample to another folder under the root directory
+     */
+    async transferSelectedSample(operation) {
+        const filename = this.selectedSampleFile;
+        if (!filename) return;
+
+        try {
+            const target = await this.fileManager.pickTargetFolder();
+            if (!target) return;
+
+            if (operation === 'move') {
+                if (!await this.confirmNotBeingEdited(filename, 'Move')) return;
+                if (!confirm(`Move ${filename} to ${target.path || 'the root directory'}? ` +
+                    'It will be removed from this folder, with a copy kept in its history.')) {
+                    return;
+                }
+            }
+
+            const newFilename = await this.fileManager.transferSample(filename, target, operation);
+            this.showSuccess(`${operation === 'move' ? 'Moved' : 'Copied'} to ${target.path || 'the root directory'} as ${newFilename}`);
+        } catch (error) {
+            console.error(`Error during sample ${operation}:`, error);
+            this.showError(`Failed to ${operation} sample: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the earlier versions of the selected sample kept on each save
+     */
+    async showSampleHistory() {
+        const filename = this.selectedSampleFile;
+        if (!filename) return;
+
+        const contentArea = document.getElementById('sample-form');
+        let revisions;
+        try {
+            revisions = await this.fileManager.listSampleRevisions(filename);
+        } catch (error) {
+            console.error('Error listing sample history:', error);
+            this.showError('Failed to load history: ' + error.message);
+            return;
+        }
+
+        const formatDateTime = (date) => date.toLocaleString('en-GB', {
+            day: 'numeric', month: 'short', year: 'numeric',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+
+        const rows = revisions.map(revision => `
+            <tr>
+                <td>${formatDateTime(revision.replaced)}</td>
+                <td><button class="btn btn-default btn-sm" data-revision="${this.escapeHtml(revision.name)}">Compare with current</button></td>
+            </tr>
+        `).join('');
+
+        contentArea.innerHTML = `
+            <div class="sample-history-view">
+                <h3>History: ${this.escapeHtml(filename)}</h3>
+                <p><button id="sample-history-back" class="btn btn-default btn-sm">Back to sample</button></p>
+                ${revisions.length === 0 ? '<p>No earlier versions. A version is kept each time the sample is saved.</p>' : `
+                    <table class="timeline-table">
+                        <thead>
+                            <tr><th>Replaced</th><th></th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                `}
+                <div id="sample-history-diff"></div>
+            </div>
+        `;
+
+        document.getElementById('sample-history-back').addEventListener('click', () => this.selectSample(filename));
+        contentArea.querySelectorAll('[data-revision]').forEach(button => {
+            button.addEventListener('click', () => this.showRevisionDiff(filename, button.dataset.revision));
+        });
+    }
+
+    async showRevisionDiff(filename, revisionName) {
+        const diffContainer = document.getElementById('sample-history-diff');
+        try {
+            const revision = await this.fileManager.readSampleRevision(filename, revisionName);
+            const current = await this.fileManager.readSample(filename);
+            const viewedState = await this.fileManager.getSampleFileState(filename);
+            const differences = this.diffSampleData(revision, current);
+            const formatValue = (value) => value === undefined
+                ? '<em>(none)</em>'
+                : this.escapeHtml(typeof value === 'string' ? value : JSON.stringify(value));
+
+            diffContainer.innerHTML = `
+                <h4>Changes since this version</h4>
+                ${differences.length === 0 ? '<p>No differences from the current version.</p>' : `
+                    <table class="timeline-table">
+                        <thead>
+                            <tr><th>Field</th><th>This version</th><th>Current</th></tr>
+                        </thead>
+                        <tbody>
+                            ${differences.map(difference => `
+                                <tr>
+                                    <td><code>${this.escapeHtml(difference.path)}</code></td>
+                                    <td>${formatValue(difference.before)}</td>
+                                    <td>${formatValue(difference.after)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+                <button id="sample-history-restore" class="btn btn-warning btn-sm requires-write">Restore this version</button>
+            `;
+
+            document.getElementById('sample-history-restore').addEventListener('click', async () => {
+                try {
+                    if (!await this.confirmNotBeingEdited(filename, 'Replace')) return;
+                    const state = await this.fileManager.getSampleFileState(filename);
+                    const question = this.isSameFileState(state, viewedState)
+                        ? 'Replace the current sample with this version?'
+                        : 'The sample has been saved elsewhere since these changes were shown. Replace it with this version anyway?';
+                    if (!confirm(`${question} The current version will be kept in the history.`)) return;
+
+                    await this.fileManager.restoreSampleRevision(filename, revisionName);
+                    await this.selectSample(filename);
+                    this.showSuccess('Earlier version restored');
+                } catch (error) {
+                    console.error('Error restoring sample version:', error);
+                    this.showError('Failed to restore version: ' + error.message);
+                }
+            });
+        } catch (error) {
+            console.error('Error comparing sample versions:', error);
+            diffContainer.innerHTML = `<p class="error">Error comparing versions: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * List field-level differences between two versions of a sample as
+     * [{ path, before, after }], comparing leaf values by JSON Pointer.
+     * The modified timestamp is left out, as it differs on every save.
+     */
+    diffSampleData(before, after) {
+        const flatten = (value, path, leaves) => {
+            const isContainer = value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+            if (isContainer) {
+                for (const key of Object.keys(value)) {
+                    flatten(value[key], `${path}/${SchemaValidator.escapePointer(key)}`, leaves);
+                }
+            } else {
+                leaves.set(path, value);
+            }
+            return leaves;
+        };
+
+        const beforeLeaves = flatten(before, '', new Map());
+        const afterLeaves = flatten(after, '', new Map());
+        const paths = new Set([...beforeLeaves.keys(), ...afterLeaves.keys()]);
+        paths.delete('/metadata/modified_timestamp');
+
+        return Array.from(paths)
+            .filter(path => JSON.stringify(beforeLeaves.get(path)) !== JSON.stringify(afterLeaves.get(path)))
+            .map(path => ({ path, before: beforeLeaves.get(path), after: afterLeaves.get(path) }));
+    }
+
+    /**
+     * Fill the "This sample elsewhere" panel of the details view with every
+     * other dataset holding a record with the same sample UUID, and the
+     * experiments recorded there while the sample was in the magnet
+     */
+    async showSampleElsewhere(data) {
+        const uuid = data.metadata?.sample_uuid;
+        const panel = document.getElementById('sample-elsewhere');
+        if (!uuid || !panel) return;
+
+        panel.innerHTML = '<h4>This sample elsewhere</h4><p>Searching the root directory…</p>';
+        let records;
+        try {
+            if (!this.sampleIndex.builtAt || this.sampleIndex.building) {
+                await this.sampleIndex.build();
+            }
+            records = this.sampleIndex.findByUuid(uuid).filter(entry =>
+                entry.path !== this.fileManager.currentSubfolderPath || entry.filename !== this.selectedSampleFile);
+        } catch (error) {
+            console.error('Error finding sample in other datasets:', error);
+            panel.innerHTML = `<h4>This sample elsewhere</h4><p class="detail-value error">${this.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        // The user may have moved on while the index was built
+        if (!panel.isConnected) return;
+        if (records.length === 0) {
+            panel.innerHTML = '<h4>This sample elsewhere</h4><p>No other dataset has a record of this sample.</p>';
+            return;
+        }
+
+        const sections = [];
+        for (const record of records) {
+            let experiments = [];
+            try {
+                experiments = await this.fileManager.getExperimentsInIntervals(record.intervals, record.dirHandle, record.path);
+            } catch (error) {
+                console.warn(`Could not read experiments in ${record.path}:`, error);
+            }
+            const rows = experiments.map(experiment => {
+                const acquisition = this.describeAcquisition(experiment.acquisition);
+                return `
+                    <tr title="${this.escapeHtml(acquisition.details)}">
+                        <td>${experiment.number}</td>
+                        <td>${experiment.date.toLocaleString('en-GB')}</td>
+                        <td>${this.escapeHtml(experiment.pulseProgram || '')}</td>
+                        <td>${this.escapeHtml(acquisition.nuclei)}</td>
+                        <td>${this.escapeHtml(acquisition.setup)}</td>
+                        <td>${this.escapeHtml(experiment.title || '')}</td>
+                    </tr>
+                `;
+            }).join('');
+            sections.push(`
+                <h5>
+                    <button type="button" class="btn btn-link btn-xs source-link" data-record="${records.indexOf(record)}">
+                        ${this.escapeHtml(`${record.path || '(root)'}/${record.filename}`)}
+                    </button>
+                    (${experiments.length} experiment${experiments.length === 1 ? '' : 's'})
+                </h5>
+                ${experiments.length > 0 ? `
+                    <table class="timeline-table">
+                        <thead><tr><th>Exp</th><th>Date</th><th>Pulse Program</th><th>Nuclei</th><th>Spectrometer</th><th>Title</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : ''}
+            `);
         }
+
+        if (!panel.isConnected) return;
+        panel.innerHTML = `<h4>This sample elsewhere (${records.length})</h4>${sections.join('')}`;
+        panel.querySelectorAll('[data-record]').forEach(button => {
+            button.addEventListener('click', () => this.openSearchResult(records[Number(button.dataset.record)]));
+        });
     }
 
-    async editSelectedSample() {
+    async exportSelectedSampleAsVersion() {
         if (!this.selectedSampleFile) return;
 
-        try {
-            const data = await this.fileManager.readSample(this.selectedSampleFile);
-            this.currentSample = data;
-            this.renderForm(data, true);
-        } catch (error) {
-            console.error('Error loading sample:', error);
-            this.showError('Failed to load sample: ' + error.message);
+        const migrations = this.fileManager.getMigrations();
+        if (!migrations) {
+            this.showError('Migrations are not loaded, so samples cannot be converted to older versions');
+            return;
         }
-    }
 
-    async ejectSelectedSample() {
-        if (!this.selectedSampleFile) return;
+        const currentVersion = this.schemaHandler.getSchemaVersion();
+        const olderVersions = getMigrationVersions(migrations).filter(version => version !== currentVersion);
+        if (olderVersions.length === 0) {
+            this.showInfo('No older schema versions are available');
+            return;
+        }
 
-        const confirmed = confirm(`Are you sure you want to eject sample: ${this.selectedSampleFile}?`);
-        if (!confirmed) return;
+        const targetVersion = prompt(
+            `Export this sample for schema version (available: ${olderVersions.join(', ')}):`,
+            olderVersions[olderVersions.length - 1]
+        );
+        if (!targetVersion) return;
+
+        if (!olderVersions.includes(targetVersion.trim())) {
+            this.showError(`Unknown schema version: ${targetVersion}`);
+            return;
+        }
 
         try {
-            console.log('Ejecting sample:', this.selectedSampleFile);
-            await this.fileManager.ejectSample(this.selectedSampleFile);
-            
-            // Refresh the sample list to update status
-            console.log('Refreshing sample list after ejection');
-            await this.fileManager.scanForSamples();
-            
-            this.showSuccess('Sample ejected successfully');
+            const savedName = await this.fileManager.exportSampleAsVersion(this.selectedSampleFile, targetVersion.trim());
+            if (savedName) {
+                this.showSuccess(`Exported ${this.selectedSampleFile} as schema v${targetVersion.trim()}: ${savedName}`);
+            }
         } catch (error) {
-            console.error('Error ejecting sample:', error);
-            this.showError('Failed to eject sample: ' + error.message);
+            console.error('Error exporting sample:', error);
+            this.showError('Failed to export sample: ' + error.message);
         }
     }
 
@@ -653,7 +1743,7 @@ class NMRSampleManager {
         // Always unmount React components first to avoid conflicts
         if (this.currentReactRoot) {
             try {
-                ReactDOM.unmountComponentAtNode(formContainer);
+                ReactDOM.unmountComponentAtNode(this.currentReactRoot);
             } catch (e) {
                 console.warn('Error unmounting React component:', e);
             }
@@ -665,8 +1755,12 @@ class NMRSampleManager {
         
         if (!editable) {
             // Show nicely formatted sample details
-            this.generateSampleDetailsView(data).then(html => {
+            return this.generateSampleDetailsView(data).then(html => {
                 formContainer.innerHTML = html;
+                this.showSampleElsewhere(data);
+                formContainer.querySelectorAll('[data-action]').forEach(button => {
+                    button.addEventListener('click', () => this.handleSampleDetailsAction(button.dataset.action, data));
+                });
             }).catch(error => {
                 console.error('Error generating sample details:', error);
                 formContainer.innerHTML = `<p class="error">Error loading sample details: ${this.escapeHtml(error.message)}</p>`;
@@ -691,11 +1785,19 @@ class NMRSampleManager {
             console.log('Form component:', Form);
             console.log('Form type:', typeof Form);
             
+            // Fields the schema does not allow would fail form validation, so keep them aside
+            const { known, unknown } = this.schemaHandler.splitUnknownFields(data);
+            this.unknownFields = unknown;
+
+            // Metadata is not edited in the form either (see getFormSchema)
+            const { metadata, ...formData } = known;
+            this.formMetadata = metadata;
+
             // Create React form props (v1.8.1 API - simple and reliable)
             const formProps = {
-                schema: this.schemaHandler.getSchema(),
+                schema: this.schemaHandler.getFormSchema(),
                 uiSchema: this.schemaHandler.getUISchema(),
-                formData: data,
+                formData,
                 onSubmit: ({ formData }) => this.handleFormSubmit({ formData }),
                 onError: (errors) => this.handleFormError(errors),
                 onKeyDown: (e) => {
@@ -725,18 +1827,32 @@ class NMRSampleManager {
 
     async handleFormSubmit({ formData }) {
         try {
-            // Process form data
-            const processedData = this.schemaHandler.processFormData(formData);
+            // Process form data and restore the metadata and fields the form did not show
+            const processedData = this.schemaHandler.processFormData({ ...formData, metadata: this.formMetadata });
+            const unplaced = this.schemaHandler.mergeUnknownFields(processedData, this.unknownFields);
+            if (unplaced.length > 0) {
+                const paths = unplaced.map(field => '/' + field.path.join('/')).join(', ');
+                if (!confirm(`These extra fields belonged to removed list items and will be lost: ${paths}\n\nSave anyway?`)) {
+                    return;
+                }
+            }
             
             // Generate filename if this is a new sample
             let filename = this.selectedSampleFile;
             if (!filename) {
                 const sampleLabel = processedData.sample?.label || 'NewSample';
-                filename = this.fileManager.generateFilename(sampleLabel);
+                filename = await this.fileManager.generateFilename(sampleLabel);
+            }
+
+            // Check whether the file was saved elsewhere since it was opened
+            let dataToSave = processedData;
+            if (this.editSession && this.editSession.filename === filename) {
+                dataToSave = await this.resolveConcurrentEdits(processedData);
+                if (!dataToSave) return;
             }
 
             // Save the sample
-            await this.fileManager.writeSample(filename, processedData);
+            await this.fileManager.writeSample(filename, dataToSave);
             
             // Clear any ongoing operation since save is complete
             this.currentOperation = null;
@@ -757,7 +1873,212 @@ class NMRSampleManager {
         this.showError('Please fix the form errors before saving');
     }
 
+    /**
+     * Start editing an existing sample: take its advisory lock (asking first if
+     * someone else holds it) and remember its state for the check on save.
+     * Returns false if the user chose not to edit.
+     */
+    async beginEditSession(filename, data) {
+        this.endEditSession();
+        const dirHandle = this.fileManager.currentDirectoryHandle;
+        const editor = this.getEditorName();
+
+        try {
+            const result = await this.fileManager.acquireSampleLock(filename, editor);
+            if (!result.acquired) {
+                const since = new Date(result.lock.acquired).toLocaleString();
+                if (!confirm(`${result.lock.editor} has had this sample open for editing since ${since}.\n\n` +
+                    'Edit it anyway? If you both save, you will be asked how to combine the changes.')) {
+                    return false;
+                }
+                await this.fileManager.acquireSampleLock(filename, editor, true);
+            }
+        } catch (error) {
+            // Locks are advisory, so a read-only or unreachable share should not stop editing
+            console.warn('Could not take edit lock:', error);
+        }
+
+        this.editSession = {
+            filename,
+            dirHandle,
+            base: JSON.parse(JSON.stringify(data)),
+            state: await this.fileManager.getSampleFileState(filename),
+            heartbeatTimer: setInterval(() => {
+                this.fileManager.acquireSampleLock(filename, editor, true, dirHandle)
+                    .catch(error => console.warn('Could not refresh edit lock:', error));
+            }, this.lockHeartbeatInterval)
+        };
+        return true;
+    }
+
+    /**
+     * Stop editing: release the edit lock, if one is held
+     */
+    endEditSession() {
+        const session = this.editSession;
+        if (!session) return;
+        this.editSession = null;
+        clearInterval(session.heartbeatTimer);
+        this.fileManager.releaseSampleLock(session.filename, session.dirHandle)
+            .catch(error => console.warn('Could not release edit lock:', error));
+    }
+
+    /**
+     * Get the name shown to others in edit locks, asking once per browser
+     */
+    getEditorName() {
+        let name = localStorage.getItem('nmr-editor-name');
+        if (!name) {
+            name = (prompt('Your name, shown to others if they open a sample you are editing:') || '').trim();
+            if (name) {
+                localStorage.setItem('nmr-editor-name', name);
+            }
+        }
+        return name || 'Unknown user';
+    }
+
+    /**
+     * If the sample being edited was saved elsewhere since it was opened,
+     * ask whether to merge, overwrite or reload. Returns the data to save,
+     * or null if nothing should be saved now.
+     */
+    async resolveConcurrentEdits(mine) {
+        const session = this.editSession;
+        const state = await this.fileManager.getSampleFileState(session.filename);
+        if (this.isSameFileState(state, session.state)) {
+            return mine;
+        }
+
+        const theirs = await this.fileManager.readSample(session.filename);
+        const theirChanges = this.diffSampleData(session.base, theirs);
+        if (theirChanges.length === 0) return mine;
+
+        const { merged, conflicts } = this.mergeSampleData(session.base, mine, theirs);
+        const choice = await this.showConflictDialog(theirChanges, conflicts);
+        if (choice === 'overwrite') return mine;
+        if (choice === 'merge') return merged;
+        if (choice === 'reload') {
+            session.base = JSON.parse(JSON.stringify(theirs));
+            session.state = state;
+            this.currentSample = theirs;
+            this.renderForm(theirs, true);
+        }
+        return null;
+    }
+
+    /**
+     * True if two results of getSampleFileState describe the same version of a file
+     */
+    isSameFileState(a, b) {
+        return a.lastModified === b.lastModified && a.modifiedTimestamp === b.modifiedTimestamp;
+    }
+
+    /**
+     * Three-way merge at field level: apply their changes (base -> theirs) to
+     * mine wherever I left the field unchanged. Fields both sides changed to
+     * different values keep my value and are reported as conflicts.
+     */
+    mergeSampleData(base, mine, theirs) {
+        const myChanges = new Map(this.diffSampleData(base, mine).map(change => [change.path, change.after]));
+        const merged = JSON.parse(JSON.stringify(mine));
+        const conflicts = [];
+        const removals = [];
+
+        for (const change of this.diffSampleData(base, theirs)) {
+            if (myChanges.has(change.path)) {
+                if (JSON.stringify(myChanges.get(change.path)) !== JSON.stringify(change.after)) {
+                    conflicts.push({ path: change.path, mine: myChanges.get(change.path), theirs: change.after });
+                }
+            } else if (change.after === undefined) {
+                removals.push(change.path);
+            } else {
+                this.setPointerValue(merged, this.schemaHandler.parsePointer(change.path), change.after);
+            }
+        }
+
+        // Remove from the end so array indices stay valid
+        removals.sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+        removals.forEach(path => this.removePointerValue(merged, this.schemaHandler.parsePointer(path)));
+
+        return { merged, conflicts };
+    }
+
+    setPointerValue(target, segments, value) {
+        let node = target;
+        segments.slice(0, -1).forEach((segment, i) => {
+            if (node[segment] === undefined || node[segment] === null || typeof node[segment] !== 'object') {
+                node[segment] = /^\d+$/.test(segments[i + 1]) ? [] : {};
+            }
+            node = node[segment];
+        });
+        node[segments[segments.length - 1]] = value;
+    }
+
+    /**
+     * Remove the value at a path; array items left empty are removed entirely
+     */
+    removePointerValue(target, segments) {
+        const parents = [target];
+        for (const segment of segments.slice(0, -1)) {
+            const next = parents[parents.length - 1][segment];
+            if (next === undefined || next === null || typeof next !== 'object') return;
+            parents.push(next);
+        }
+
+        for (let depth = segments.length - 1; depth >= 0; depth--) {
+            const parent = parents[depth];
+            const key = segments[depth];
+            const value = parent[key];
+            const isEmpty = value !== null && typeof value === 'object' && Object.keys(value).length === 0;
+            if (depth < segments.length - 1 && !(isEmpty && Array.isArray(parent))) break;
+            if (Array.isArray(parent)) {
+                parent.splice(Number(key), 1);
+            } else {
+                delete parent[key];
+            }
+        }
+    }
+
+    /**
+     * Ask how to save when the sample was changed elsewhere.
+     * Resolves to 'merge', 'overwrite', 'reload' or 'cancel'.
+     */
+    showConflictDialog(theirChanges, conflicts) {
+        const listPaths = (items) => items.map(item => `<li><code>${this.escapeHtml(item.path)}</code></li>`).join('');
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="conflict-dialog">
+                <h4>This sample was changed elsewhere</h4>
+                <p>Someone saved it after you opened it. They changed:</p>
+                <ul>${listPaths(theirChanges)}</ul>
+                ${conflicts.length > 0 ? `
+                    <p>You both changed these fields; merging keeps your values:</p>
+                    <ul>${listPaths(conflicts)}</ul>
+                ` : ''}
+                <div class="conflict-dialog-actions">
+                    <button class="btn btn-primary btn-sm" data-choice="merge">Merge with their changes</button>
+                    <button class="btn btn-warning btn-sm" data-choice="overwrite">Overwrite with mine</button>
+                    <button class="btn btn-default btn-sm" data-choice="reload">Discard mine and reload</button>
+                    <button class="btn btn-default btn-sm" data-choice="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        return new Promise(resolve => {
+            overlay.querySelectorAll('[data-choice]').forEach(button => {
+                button.addEventListener('click', () => {
+                    overlay.remove();
+                    resolve(button.dataset.choice);
+                });
+            });
+        });
+    }
+
     clearForm() {
+        this.endEditSession();
         const formContainer = document.getElementById('sample-form');
         formContainer.innerHTML = '<p class="form-placeholder">Select a sample or create a new one to see the form</p>';
         
@@ -775,6 +2096,7 @@ class NMRSampleManager {
         });
         
         this.updateButtonStates(false);
+        this.flushPendingRefresh();
     }
 
     async generateSampleDetailsView(data) {
@@ -783,20 +2105,45 @@ class NMRSampleManager {
         // Get experiments table for this sample's lifecycle
         const experimentsSection = await this.generateExperimentsSection(data);
 
+        // For migrated samples, also check the file against the schema it was written with
+        const migrationReport = this.fileManager.getMigrationReport(this.selectedSampleFile);
+        let originalErrors = null;
+        if (migrationReport) {
+            try {
+                originalErrors = await this.fileManager.validateSampleAgainstOwnVersion(this.selectedSampleFile);
+            } catch (error) {
+                console.warn('Could not validate sample against its original schema:', error);
+            }
+        }
+
         return `
             <div class="sample-details">
                 <div class="sample-details-header">
                     <h3>Sample: ${this.escapeHtml(sampleLabel)}</h3>
+                    <div class="sample-details-actions">
+                        ${this.fileManager.getLifecycleStatus(data) === 'ejected'
+                            ? '<button class="btn btn-success btn-sm requires-write" data-action="reinject">Re-inject</button>'
+                            : ''}
+                        <button class="btn btn-default btn-sm" data-action="history">History</button>
+                        <button class="btn btn-default btn-sm requires-write" data-action="copy">Copy to…</button>
+                        <button class="btn btn-default btn-sm requires-write" data-action="move">Move to…</button>
+                        <button class="btn btn-default btn-sm" data-action="export-version">Export as older version</button>
+                    </div>
                 </div>
                 <div class="sample-details-body">
+                    ${this.generateMigrationSection(migrationReport, originalErrors)}
+                    ${this.generateValidationSection(this.schemaHandler.validate(data))}
                     ${this.generateUsersSection(data.people?.users)}
                     ${this.generateSampleSection(data.sample)}
                     ${this.generateBufferSection(data.buffer)}
                     ${this.generateNMRTubeSection(data.nmr_tube)}
                     ${this.generateLabReferenceSection(data.reference)}
                     ${this.generateNotesSection(data.notes)}
+                    ${this.generateExtensionsSection(data.extensions)}
+                    ${this.generateUnknownFieldsSection(this.schemaHandler.splitUnknownFields(data).unknown)}
                     ${this.generateMetadataSection(data.metadata)}
                     ${experimentsSection}
+                    ${data.metadata?.sample_uuid ? '<div id="sample-elsewhere" class="experiments-section"></div>' : ''}
                 </div>
             </div>
         `;
@@ -812,6 +2159,64 @@ class NMRSampleManager {
             .replace(/'/g, "&#039;");
     }
 
+    generateMigrationSection(report, originalErrors = null) {
+        if (!report || report.changes.length === 0) return '';
+
+        const formatValue = (value) => value === undefined
+            ? '<em>(none)</em>'
+            : `<code>${this.escapeHtml(JSON.stringify(value))}</code>`;
+
+        const changeItems = report.changes.map(change => {
+            const step = `v${this.escapeHtml(change.from_version)} → v${this.escapeHtml(change.to_version)}`;
+            const path = `<code>${this.escapeHtml(change.path)}</code>`;
+            let description;
+            if (change.op === 'remove') {
+                description = `removed ${path} (was ${formatValue(change.old_value)})`;
+            } else if (change.op === 'rename_key' || change.op === 'move') {
+                description = `${change.op === 'move' ? 'moved' : 'renamed'} ${path} to <code>${this.escapeHtml(change.to)}</code>`;
+            } else {
+                description = `${this.escapeHtml(change.op)} ${path}: ${formatValue(change.old_value)} → ${formatValue(change.new_value)}`;
+            }
+            // Flag changes that discard a non-empty value so they stand out
+            const dropsData = change.op === 'remove' && change.old_value !== undefined
+                && change.old_value !== '' && change.old_value !== null;
+            return `<li${dropsData ? ' class="migration-data-loss"' : ''}>${step}: ${description}</li>`;
+        }).join('');
+
+        return `
+            <div class="migration-banner">
+                <strong>Migrated from v${this.escapeHtml(report.fromVersion || 'unknown')}${report.detected ? ' (detected from its layout)' : ''}
+                    to v${this.escapeHtml(report.toVersion || 'unknown')}</strong>
+                when loaded. The file on disk is unchanged until the sample is saved.
+                ${originalErrors === null ? '' : originalErrors.length === 0
+                    ? `<div>The file on disk is valid against schema v${this.escapeHtml(report.fromVersion)}.</div>`
+                    : `<div>The file on disk has ${originalErrors.length} problem${originalErrors.length > 1 ? 's' : ''}
+                        against schema v${this.escapeHtml(report.fromVersion)}:
+                        ${this.schemaHandler.formatValidationErrors(originalErrors).map(message => this.escapeHtml(message)).join('; ')}</div>`}
+                <details>
+                    <summary>${report.changes.length} change${report.changes.length > 1 ? 's' : ''}</summary>
+                    <ul>${changeItems}</ul>
+                </details>
+            </div>
+        `;
+    }
+
+    generateValidationSection(errors) {
+        if (!errors || errors.length === 0) return '';
+
+        const errorItems = errors.map(error => `
+            <li><code>${this.escapeHtml(error.path || '/')}</code> ${this.escapeHtml(error.message)}</li>
+        `).join('');
+
+        return `
+            <div class="validation-errors">
+                <strong>This sample does not match schema v${this.escapeHtml(this.schemaHandler.getSchema().version || '')}
+                    (${errors.length} problem${errors.length > 1 ? 's' : ''}):</strong>
+                <ul>${errorItems}</ul>
+            </div>
+        `;
+    }
+
     generateUsersSection(users) {
         if (!users || users.length === 0) return '';
         
@@ -991,6 +2396,39 @@ class NMRSampleManager {
         `;
     }
 
+    generateExtensionsSection(extensions) {
+        if (!extensions || Object.keys(extensions).length === 0) return '';
+
+        const contentLines = Object.entries(extensions).map(([key, value]) =>
+            `<strong>${this.escapeHtml(key)}:</strong> ${this.escapeHtml(String(value))}`
+        );
+
+        return `
+            <div class="detail-row">
+                <div class="detail-label">Extensions</div>
+                <div class="detail-content">${contentLines.join('<br>')}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show fields outside the schema; these are kept when the sample is saved
+     */
+    generateUnknownFieldsSection(unknown) {
+        if (!unknown || unknown.length === 0) return '';
+
+        const contentLines = unknown.map(field =>
+            `<strong>/${this.escapeHtml(field.path.join('/'))}:</strong> ${this.escapeHtml(JSON.stringify(field.value))}`
+        );
+
+        return `
+            <div class="detail-row">
+                <div class="detail-label">Other fields</div>
+                <div class="detail-content">${contentLines.join('<br>')}</div>
+            </div>
+        `;
+    }
+
     generateMetadataSection(metadata) {
         if (!metadata) return '';
         
@@ -1031,6 +2469,29 @@ class NMRSampleManager {
             const timeStr = ejectedDate.toTimeString().split(' ')[0];
             contentLines.push(`<strong>Ejected:</strong> ${dateStr} ${timeStr}`);
         }
+
+        // List every event once the sample has been re-injected or stored
+        const lifecycle = Array.isArray(metadata.lifecycle) ? metadata.lifecycle : [];
+        if (lifecycle.length > 2 || lifecycle.some(entry => entry.event === 'stored')) {
+            const eventNames = { inject: 'Injected', eject: 'Ejected', stored: 'Stored' };
+            const items = this.fileManager.getLifecycle({ metadata }).map(entry => `
+                <li>${eventNames[entry.event] || this.escapeHtml(entry.event)}
+                    ${new Date(entry.timestamp).toLocaleString('en-GB')}${entry.location ? ` (${this.escapeHtml(entry.location)})` : ''}</li>
+            `).join('');
+            contentLines.push(`<strong>Lifecycle:</strong><ul class="lifecycle-list">${items}</ul>`);
+        }
+
+        if (metadata.source) {
+            const source = metadata.source;
+            const location = `${source.path ? `${source.path}/` : ''}${source.filename || ''}`;
+            const verb = source.operation === 'move' ? 'Moved from' : 'Copied from';
+            // Folders outside the root directory (".../name") and incomplete sources cannot be opened
+            const link = typeof source.path !== 'string' || source.path.startsWith('...')
+                ? `<code>${this.escapeHtml(location)}</code>`
+                : `<button type="button" class="btn btn-link btn-xs source-link" data-action="open-source">${this.escapeHtml(location)}</button>`;
+            const when = source.timestamp ? ` on ${new Date(source.timestamp).toLocaleString('en-GB')}` : '';
+            contentLines.push(`<strong>${verb}:</strong> ${link}${when}`);
+        }
         
         return contentLines.length > 0 ? `
             <div class="detail-row">
@@ -1044,27 +2505,17 @@ class NMRSampleManager {
         try {
             const timelineData = await this.fileManager.generateTimelineData();
             
-            // Get sample lifecycle timestamps
-            const metadata = sampleData.metadata || {};
-            const sampleCreated = metadata.created_timestamp ? new Date(metadata.created_timestamp) : null;
-            const sampleEjected = metadata.ejected_timestamp ? new Date(metadata.ejected_timestamp) : null;
+            // Get the intervals the sample spent in the magnet
+            const intervals = this.fileManager.getMagnetIntervals(sampleData);
             
             // Filter to only show experiment events within sample lifecycle
             let experimentEvents = timelineData.filter(event => event.type === 'Experiment');
             
             // Filter by sample lifecycle if we have timestamps
-            if (sampleCreated) {
-                experimentEvents = experimentEvents.filter(event => {
-                    const experimentTime = event.rawTimestamp;
-                    
-                    // Must be after sample creation
-                    if (experimentTime < sampleCreated) return false;
-                    
-                    // Must be before sample ejection (if ejected)
-                    if (sampleEjected && experimentTime > sampleEjected) return false;
-                    
-                    return true;
-                });
+            if (intervals.length > 0) {
+                experimentEvents = experimentEvents.filter(event => intervals.some(interval =>
+                    event.rawTimestamp >= interval.start
+                    && (interval.end === null || event.rawTimestamp <= interval.end)));
             }
             
             if (experimentEvents.length === 0) {
@@ -1089,20 +2540,33 @@ class NMRSampleManager {
                 // Use consistent darker shading for all rows
                 let rowClass = 'timeline-group-1';
                 
+                const acquisition = this.describeAcquisition(event.acquisition);
+                
                 tableRows += `
-                    <tr class="${rowClass}">
+                    <tr class="${rowClass}" title="${this.escapeHtml(acquisition.details)}">
                         <td>${event.experimentNumber}</td>
                         <td>${date}</td>
                         <td>${time}</td>
                         <td>${this.escapeHtml(event.event)}</td>
+                        <td>${this.escapeHtml(acquisition.nuclei)}</td>
+                        <td>${acquisition.ns}</td>
+                        <td>${acquisition.td}</td>
+                        <td>${acquisition.sw}</td>
+                        <td>${acquisition.temperature}</td>
                         <td>${this.escapeHtml(event.details)}</td>
                     </tr>
                 `;
             });
+
+            // Spectrometers and probes the sample was measured with
+            const setups = [...new Set(experimentEvents
+                .map(event => this.describeAcquisition(event.acquisition).setup)
+                .filter(setup => setup))];
             
             return `
                 <div class="experiments-section">
                     <h4>Experiments (${experimentEvents.length})</h4>
+                    ${setups.length > 0 ? `<p class="acquisition-setup">${setups.map(setup => this.escapeHtml(setup)).join('<br>')}</p>` : ''}
                     <table class="timeline-table">
                         <thead>
                             <tr>
@@ -1110,6 +2574,11 @@ class NMRSampleManager {
                                 <th>Date</th>
                                 <th>Time</th>
                                 <th>Pulse Program</th>
+                                <th>Nuclei</th>
+                                <th>NS</th>
+                                <th>TD</th>
+                                <th>SW (ppm)</th>
+                                <th>Temp (K)</th>
                                 <th>Title</th>
                             </tr>
                         </thead>
@@ -1130,6 +2599,37 @@ class NMRSampleManager {
         }
     }
 
+    /**
+     * Format the acquisition parameters of an experiment (see
+     * FileManager.summariseAcquisition) for the experiment tables.
+     * Dimensions are listed F1 first, as in TopSpin.
+     */
+    describeAcquisition(acquisition) {
+        if (!acquisition) {
+            return { nuclei: '', ns: '', td: '', sw: '', temperature: '', setup: '', details: '' };
+        }
+
+        const dimensions = [...acquisition.dimensions].reverse();
+        const format = (value, digits) => value === null ? '?' : (digits === undefined ? String(value) : value.toFixed(digits));
+        const field = acquisition.field !== null ? `${format(acquisition.field, 2)} MHz` : '';
+
+        return {
+            nuclei: dimensions.map(dimension => dimension.nucleus || '?').join('/'),
+            ns: format(acquisition.ns),
+            td: dimensions.map(dimension => format(dimension.td)).join(' × '),
+            sw: dimensions.map(dimension => format(dimension.sw, 2)).join(' × '),
+            temperature: acquisition.temperature !== null ? format(acquisition.temperature, 1) : '',
+            setup: [field, acquisition.probe].filter(Boolean).join(', '),
+            details: [
+                field && `Field (BF1): ${field}`,
+                ...dimensions.map((dimension, i) => `F${i + 1} ${dimension.nucleus || '?'}: SFO1 ${format(dimension.sfo, 4)} MHz, ` +
+                    `SW ${format(dimension.swHz, 1)} Hz, TD ${format(dimension.td)}` +
+                    (dimension.si !== null ? `, SI ${dimension.si}` : '')),
+                acquisition.probe && `Probe: ${acquisition.probe}`
+            ].filter(Boolean).join('\n')
+        };
+    }
+
     showError(message) {
         alert('Error: ' + message);
     }
@@ -1161,7 +2661,7 @@ class NMRSampleManager {
             let currentSample = null;
             
             timelineData.forEach((event) => {
-                if (event.type === 'Sample' && event.event === 'Created') {
+                if (event.type === 'Sample' && (event.event === 'Created' || event.event === 'Re-injected')) {
                     // New sample session starts
                     currentSample = event.details;
                     currentColorIndex = currentColorIndex === 0 ? 1 : 0; // Alternate between 0 and 1
@@ -1230,6 +2730,262 @@ class NMRSampleManager {
         }
     }
 
+    /**
+     * Show the sample search view, building the index first if needed
+     */
+    async showSampleSearch() {
+        const contentArea = document.getElementById('sample-form');
+        this.clearForm();
+        contentArea.innerHTML = `
+            <div class="sample-search-view">
+                <h3>Search Samples</h3>
+                <form id="sample-search-form" class="sample-search-form">
+                    <label>Label <input type="text" name="label" class="form-control input-sm"></label>
+                    <label>Component <input type="text" name="component" class="form-control input-sm"></label>
+                    <label>Labelling <input type="text" name="labelling" class="form-control input-sm" placeholder="e.g. 15N"></label>
+                    <label>User <input type="text" name="user" class="form-control input-sm"></label>
+                    <label>Group <input type="text" name="group" class="form-control input-sm"></label>
+                    <label>Solvent <input type="text" name="solvent" class="form-control input-sm"></label>
+                    <label>Tube type <input type="text" name="tubeType" class="form-control input-sm"></label>
+                    <label>pH from <input type="number" step="0.1" name="phMin" class="form-control input-sm"></label>
+                    <label>pH to <input type="number" step="0.1" name="phMax" class="form-control input-sm"></label>
+                    <label>In magnet from <input type="date" name="dateFrom" class="form-control input-sm"></label>
+                    <label>In magnet to <input type="date" name="dateTo" class="form-control input-sm"></label>
+                </form>
+                <p>
+                    <span id="sample-search-status"></span>
+                    <button id="sample-search-rebuild" class="btn btn-default btn-sm">Rebuild index</button>
+                </p>
+                <div id="sample-search-results"></div>
+            </div>
+        `;
+
+        const form = document.getElementById('sample-search-form');
+        form.addEventListener('input', () => this.renderSampleSearchResults());
+        form.addEventListener('submit', (e) => e.preventDefault());
+        document.getElementById('sample-search-rebuild').addEventListener('click', () => this.rebuildSampleIndex());
+
+        if (this.sampleIndex.builtAt && !this.sampleIndex.building) {
+            this.renderSampleSearchResults();
+        } else {
+            await this.rebuildSampleIndex();
+        }
+    }
+
+    async rebuildSampleIndex() {
+        const status = document.getElementById('sample-search-status');
+        const rebuildButton = document.getElementById('sample-search-rebuild');
+        rebuildButton.disabled = true;
+        this.sampleIndex.onProgress = (done, total) => {
+            status.textContent = `Indexing sample files: ${done} of ${total}...`;
+        };
+
+        try {
+            status.textContent = `Scanning ${this.fileManager.getRootDirectoryName()} for sample files...`;
+            await this.fileManager.ensureRootPermission();
+            await this.sampleIndex.build();
+            this.renderSampleSearchResults();
+        } catch (error) {
+            console.error('Error indexing samples:', error);
+            status.textContent = `Error indexing samples: ${error.message}`;
+        } finally {
+            this.sampleIndex.onProgress = null;
+            rebuildButton.disabled = false;
+        }
+    }
+
+    /**
+     * Read the search form into criteria for SampleIndex.search
+     */
+    getSampleSearchCriteria() {
+        const form = document.getElementById('sample-search-form');
+        const text = (name) => form.elements[name].value.trim();
+        const number = (name) => form.elements[name].value === '' ? null : Number(form.elements[name].value);
+        const date = (name, endOfDay) => form.elements[name].value
+            ? new Date(form.elements[name].value + (endOfDay ? 'T23:59:59' : 'T00:00:00'))
+            : null;
+
+        return {
+            label: text('label'),
+            component: text('component'),
+            labelling: text('labelling'),
+            user: text('user'),
+            group: text('group'),
+            solvent: text('solvent'),
+            tubeType: text('tubeType'),
+            phMin: number('phMin'),
+            phMax: number('phMax'),
+            dateFrom: date('dateFrom', false),
+            dateTo: date('dateTo', true)
+        };
+    }
+
+    renderSampleSearchResults() {
+        const resultsContainer = document.getElementById('sample-search-results');
+        const status = document.getElementById('sample-search-status');
+        if (!resultsContainer) return;
+
+        const results = this.sampleIndex.search(this.getSampleSearchCriteria());
+        const total = this.sampleIndex.entries.length;
+        const failed = this.sampleIndex.failed.length;
+        status.textContent = `${results.length} of ${total} sample${total === 1 ? '' : 's'} match` +
+            (failed > 0 ? ` (${failed} file${failed === 1 ? '' : 's'} could not be read)` : '') + '.';
+
+        if (results.length === 0) {
+            resultsContainer.innerHTML = '';
+            return;
+        }
+
+        const formatDate = (date) => date ? date.toLocaleDateString('en-GB', {
+            day: 'numeric', month: 'short', year: 'numeric'
+        }) : '';
+
+        const rows = results.map((entry, i) => `
+            <tr class="sample-search-result" data-index="${i}" title="Open ${this.escapeHtml(entry.filename)}">
+                <td>${this.escapeHtml(entry.label)}</td>
+                <td>${entry.components.map(c => this.escapeHtml([c.name, c.labelling].filter(Boolean).join(' '))).join('<br>')}</td>
+                <td>${entry.ph === null ? '' : entry.ph}</td>
+                <td>${this.escapeHtml(entry.solvent)}</td>
+                <td>${formatDate(entry.created)}${entry.ejected ? ` – ${formatDate(entry.ejected)}` : ''}</td>
+                <td>${this.escapeHtml(entry.path || '(root)')}</td>
+            </tr>
+        `).join('');
+
+        resultsContainer.innerHTML = `
+            <table class="timeline-table">
+                <thead>
+                    <tr><th>Label</th><th>Components</th><th>pH</th><th>Solvent</th><th>In magnet</th><th>Dataset</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        resultsContainer.querySelectorAll('.sample-search-result').forEach(row => {
+            row.addEventListener('click', () => this.openSearchResult(results[Number(row.dataset.index)]));
+        });
+    }
+
+    async openSearchResult(entry) {
+        try {
+            await this.fileManager.navigateToSubfolder(entry.path);
+            if (!this.fileManager.sampleFiles.has(entry.filename)) {
+                throw new Error(`${entry.filename} is no longer in ${entry.path || 'the root directory'}`);
+            }
+            await this.selectSample(entry.filename);
+        } catch (error) {
+            console.error('Error opening search result:', error);
+            this.showError('Failed to open sample: ' + error.message);
+        }
+    }
+
+    /**
+     * Show the bulk migration tool: scan the root directory, preview which
+     * sample files would change, then migrate them on disk when confirmed
+     */
+    async showBulkMigration() {
+        const contentArea = document.getElementById('sample-form');
+        this.clearForm();
+        contentArea.innerHTML = `
+            <div class="bulk-migration-view">
+                <h3>Migrate All Samples</h3>
+                <p id="bulk-migration-progress">Scanning ${this.escapeHtml(this.fileManager.getRootDirectoryName())} for sample files...</p>
+            </div>
+        `;
+
+        try {
+            const progress = document.getElementById('bulk-migration-progress');
+            const results = await this.fileManager.previewBulkMigration((done, total) => {
+                progress.textContent = `Checking sample files: ${done} of ${total}`;
+            });
+            this.renderBulkMigrationPreview(results);
+        } catch (error) {
+            console.error('Error previewing bulk migration:', error);
+            contentArea.innerHTML = `<p class="error">Error scanning sample files: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    renderBulkMigrationPreview(results) {
+        const contentArea = document.getElementById('sample-form');
+        const toMigrate = results.filter(result => result.needsMigration);
+        const unreadable = results.filter(result => result.error);
+        const upToDate = results.length - toMigrate.length - unreadable.length;
+        const filePath = (entry) => this.escapeHtml(entry.path ? `${entry.path}/${entry.filename}` : entry.filename);
+
+        const rows = toMigrate.map(entry => `
+            <tr class="timeline-group-0">
+                <td>${filePath(entry)}</td>
+                <td>v${this.escapeHtml(entry.report.fromVersion || 'unknown')} → v${this.escapeHtml(entry.report.toVersion || 'unknown')}</td>
+                <td>${entry.report.changes.length}</td>
+            </tr>
+        `).join('');
+
+        const unreadableList = unreadable.length > 0 ? `
+            <h4>Unreadable files (${unreadable.length})</h4>
+            <ul>${unreadable.map(entry => `<li>${filePath(entry)}: ${this.escapeHtml(entry.error.message)}</li>`).join('')}</ul>
+        ` : '';
+
+        contentArea.innerHTML = `
+            <div class="bulk-migration-view">
+                <h3>Migrate All Samples</h3>
+                <p class="summary-counts">Found ${results.length} sample file${results.length === 1 ? '' : 's'}:
+                    <strong>${toMigrate.length}</strong> to migrate, ${upToDate} up to date, ${unreadable.length} unreadable.</p>
+                ${toMigrate.length > 0 ? `
+                    <p>The original of each file will be kept in a <code>.nmr-samples/backup</code> folder next to it.</p>
+                    <div class="actions">
+                        <button id="bulk-migration-run" class="btn btn-primary requires-write">Migrate ${toMigrate.length} file${toMigrate.length === 1 ? '' : 's'}</button>
+                        <button id="bulk-migration-cancel" class="btn btn-default">Cancel</button>
+                    </div>
+                    <table class="timeline-table">
+                        <thead>
+                            <tr><th>File</th><th>Version</th><th>Changes</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : '<p>Nothing to migrate.</p>'}
+                ${unreadableList}
+            </div>
+        `;
+
+        if (toMigrate.length === 0) return;
+
+        document.getElementById('bulk-migration-cancel').addEventListener('click', () => this.clearForm());
+        document.getElementById('bulk-migration-run').addEventListener('click', async () => {
+            const runButton = document.getElementById('bulk-migration-run');
+            runButton.disabled = true;
+            document.getElementById('bulk-migration-cancel').disabled = true;
+
+            try {
+                const summary = await this.fileManager.applyBulkMigration(toMigrate, (done, total) => {
+                    runButton.textContent = `Migrating ${done} of ${total}...`;
+                });
+                this.renderBulkMigrationSummary(summary);
+            } catch (error) {
+                console.error('Error running bulk migration:', error);
+                this.showError('Bulk migration failed: ' + error.message);
+            }
+        });
+    }
+
+    renderBulkMigrationSummary(summary) {
+        const contentArea = document.getElementById('sample-form');
+        const filePath = (entry) => this.escapeHtml(entry.path ? `${entry.path}/${entry.filename}` : entry.filename);
+        const listSection = (title, entries, describe) => entries.length === 0 ? '' : `
+            <h4>${title} (${entries.length})</h4>
+            <ul>${entries.map(entry => `<li>${filePath(entry)}${describe ? ': ' + this.escapeHtml(describe(entry)) : ''}</li>`).join('')}</ul>
+        `;
+
+        contentArea.innerHTML = `
+            <div class="bulk-migration-view">
+                <h3>Migration Complete</h3>
+                <p class="summary-counts"><strong>${summary.succeeded.length}</strong> succeeded,
+                    ${summary.skipped.length} skipped, ${summary.failed.length} failed.</p>
+                ${listSection('Failed', summary.failed, entry => entry.error.message)}
+                ${listSection('Skipped', summary.skipped, entry => entry.reason)}
+                ${listSection('Migrated', summary.succeeded, entry => `v${entry.report.fromVersion} → v${entry.report.toVersion}`)}
+            </div>
+        `;
+    }
+
     /**
      * Render timeline table
      */
@@ -1275,6 +3031,12 @@ class NMRSampleManager {
             const typeDisplay = event.type === 'Experiment' ? event.experimentNumber : event.type;
             
             const holderCell = shouldShowHolderColumn ? `<td>${event.holder || '-'}</td>` : '';
+
+            // Nuclei, scans and temperature of experiments, with the rest on hover
+            const acquisition = this.describeAcquisition(event.acquisition);
+            const acquisitionText = event.acquisition
+                ? `${acquisition.nuclei}, NS ${acquisition.ns}${acquisition.temperature ? `, ${acquisition.temperature} K` : ''}`
+                : '';
             
             tableRows += `
                 <tr class="${rowClass}">
@@ -1283,6 +3045,7 @@ class NMRSampleManager {
                     ${holderCell}
                     <td>${typeDisplay}</td>
                     <td>${this.escapeHtml(event.event)}</td>
+                    <td title="${this.escapeHtml(acquisition.details)}">${this.escapeHtml(acquisitionText)}</td>
                     <td>${this.escapeHtml(event.details)}</td>
                 </tr>
             `;
@@ -1300,6 +3063,7 @@ class NMRSampleManager {
                             ${shouldShowHolderColumn ? '<th>Holder</th>' : ''}
                             <th>Experiment</th>
                             <th>Event / pulseprogram</th>
+                            <th>Acquisition</th>
                             <th>Details</th>
                         </tr>
                     </thead>
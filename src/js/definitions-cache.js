@@ -0,0 +1,137 @@
+/**
+ * Definitions Cache - Keeps a pinned copy of the schema and migrations in IndexedDB
+ * Desktop-only NMR Sample Manager
+ *
+ * The pinned set is used on every start, so a lab PC keeps working offline
+ * and does not change schema until a newer downloaded set is accepted.
+ * A pin older than requiredSchemaVersion lacks fields the app writes, so
+ * samples may not be saved until the user accepts the update.
+ */
+
+class DefinitionsCache {
+    /**
+     * Oldest schema version with every field the app writes (sample_uuid arrived in 0.6.0)
+     */
+    static get requiredSchemaVersion() {
+        return '0.6.0';
+    }
+
+    constructor(storage) {
+        this.storage = storage;
+        this.pinnedKey = 'pinned';
+        this.migrationsUrl = 'schemas/current/patch.json';
+        this.active = null;
+        this.update = null;  // Newer set waiting to be accepted
+        this.offline = false; // True if the schema or migrations could not be obtained
+    }
+
+    /**
+     * Load the active schema and migration set.
+     * Returns { schema, migrations, schemaVersion, migrationVersion, source, timestamp }
+     */
+    async load() {
+        const available = await this.fetchAvailable();
+        this.offline = !available.schema || !available.migrations;
+
+        const pinned = await this.storage.getDefinitions(this.pinnedKey);
+        if (!pinned) {
+            if (!available.schema) {
+                throw new Error('Schema could not be loaded and no cached copy is available');
+            }
+            this.active = this.createSet(available);
+            await this.storage.storeDefinitions(this.pinnedKey, this.active);
+            return this.active;
+        }
+
+        this.active = pinned;
+        if (available.schema && available.migrations && !this.isSameSet(pinned, available)) {
+            this.update = this.createSet(available);
+        } else if (available.migrations && !pinned.migrations && this.isSameSchema(pinned, available)) {
+            // First download of migrations for a set pinned while offline
+            this.active = this.createSet(available);
+            await this.storage.storeDefinitions(this.pinnedKey, this.active);
+        }
+        return this.active;
+    }
+
+    /**
+     * Get the schema and migrations offered by this build of the app: embedded
+     * in the offline build, otherwise fetched from the copy bundled next to the
+     * schema, so that the migration chain ends at the schema's version.
+     * Either may be null.
+     */
+    async fetchAvailable() {
+        const schema = window.SCHEMA_LOADED === true ? window.EMBEDDED_SCHEMA : null;
+
+        let migrations = null;
+        if (typeof loadMigrations === 'function') {
+            try {
+                migrations = await loadMigrations(this.migrationsUrl);
+            } catch (error) {
+                console.warn('Could not load migrations:', error);
+            }
+        }
+
+        return {
+            schema,
+            migrations,
+            source: window.EMBEDDED_MIGRATIONS ? 'embedded' : 'downloaded'
+        };
+    }
+
+    /**
+     * Create a set record for storage from a schema and migrations
+     */
+    createSet({ schema, migrations, source }) {
+        return {
+            schema,
+            migrations,
+            schemaVersion: schema.version || null,
+            migrationVersion: migrations ? getLatestMigrationVersion(migrations) : null,
+            source,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * True if the active schema is older than the app needs to write samples
+     */
+    isOutdated() {
+        return this.compareVersions(this.active?.schemaVersion, DefinitionsCache.requiredSchemaVersion) < 0;
+    }
+
+    /**
+     * Compare two version strings such as "0.4.0" by their numeric parts.
+     * A missing version counts as older than any other.
+     */
+    compareVersions(a, b) {
+        if (!a || !b) return a ? 1 : (b ? -1 : 0);
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const difference = (partsA[i] || 0) - (partsB[i] || 0);
+            if (difference !== 0) return Math.sign(difference);
+        }
+        return 0;
+    }
+
+    isSameSchema(a, b) {
+        return JSON.stringify(a.schema) === JSON.stringify(b.schema);
+    }
+
+    isSameSet(a, b) {
+        return this.isSameSchema(a, b) && JSON.stringify(a.migrations) === JSON.stringify(b.migrations);
+    }
+
+    /**
+     * Pin the waiting update so that it is used from the next start
+     */
+    async applyUpdate() {
+        if (!this.update) {
+            throw new Error('No update available');
+        }
+        await this.storage.storeDefinitions(this.pinnedKey, this.update);
+        this.active = this.update;
+        this.update = null;
+    }
+}
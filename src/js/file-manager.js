@@ -3,15 +3,52 @@
  * Desktop-only NMR Sample Manager
  */
 
+/**
+ * Raised when a sample file's schema version cannot be identified, or
+ * when no migration leads from its version to the current one
+ */
+class SampleVersionError extends Error {
+    constructor(message, filename, version = null) {
+        super(message);
+        this.name = 'SampleVersionError';
+        this.filename = filename;
+        this.version = version;
+    }
+}
+
 class FileManager {
     constructor() {
         this.rootDirectoryHandle = null;
+        this.workspace = null; // Active workspace: { name, displayPath }
+        this.readOnly = false; // Browsing without write access: files are never changed
+        this.writeBlockedReason = null; // Why files may not be changed even with write access
         this.currentDirectoryHandle = null;
         this.currentSubfolderPath = '';
         this.sampleFiles = new Map(); // filename -> fileHandle
+        this.validationErrors = new Map(); // filename -> validation errors from last read
+        this.migrationReports = new Map(); // filename -> migration report from last read
+        this.sampleVersions = new Map(); // filename -> schema version of the file on disk
         this.onDirectoryChanged = null;
         this.onSamplesChanged = null;
         this.onRootDirectoryChanged = null;
+        this.onWorkspacesChanged = null; // (workspaces, activeName) after a workspace is added, removed or switched to
+        this.onLabConfigChanged = null;
+        this.onDirectoryContentsChanged = null; // (changedNames) after files change in the current directory
+        this.watchedDirectoryHandle = null;
+        this.directoryObserver = null;
+        this.directoryPollTimer = null;
+        this.directorySnapshot = null;
+        this.polling = false;
+        this.pendingChanges = new Set();
+        this.changeDebounceTimer = null;
+        this.pollInterval = 5000; // ms, when FileSystemObserver is unavailable
+        this.changeDebounce = 1000; // ms, so a burst of writes triggers one refresh
+        this.lockExpiry = 10 * 60 * 1000; // ms without a heartbeat before a lock is stale
+        this.sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        this.labConfigFilename = 'nmr-samples.config.json';
+        this.activeWorkspaceKey = 'nmr-active-workspace'; // localStorage key of the last workspace used
+        this.filenameTemplate = new FilenameTemplate();
+        this.labConfigLoaded = false;
         this.storage = new StorageHandler();
     }
 
@@ -22,6 +59,26 @@ class FileManager {
         return 'showDirectoryPicker' in window;
     }
 
+    /**
+     * Access mode requested for directories: 'read' in read-only mode
+     */
+    get permissionMode() {
+        return this.readOnly ? 'read' : 'readwrite';
+    }
+
+    /**
+     * Throw if files may not be changed because the workspace is read-only
+     * or writing is blocked (see writeBlockedReason)
+     */
+    assertWritable() {
+        if (this.readOnly) {
+            throw new Error('This workspace is open read-only');
+        }
+        if (this.writeBlockedReason) {
+            throw new Error(this.writeBlockedReason);
+        }
+    }
+
     /**
      * Open directory picker and set current directory
      */
@@ -32,7 +89,7 @@ class FileManager {
 
         try {
             const dirHandle = await window.showDirectoryPicker({
-                mode: 'readwrite'
+                mode: this.permissionMode
             });
             
             this.currentDirectoryHandle = dirHandle;
@@ -57,15 +114,14 @@ class FileManager {
         if (!this.currentDirectoryHandle) return;
 
         this.sampleFiles.clear();
+        this.validationErrors.clear();
+        this.migrationReports.clear();
+        this.sampleVersions.clear();
         
         try {
             for await (const [name, handle] of this.currentDirectoryHandle.entries()) {
-                if (handle.kind === 'file' && name.endsWith('.json')) {
-                    // Check if it looks like a sample file (timestamp_name.json format)
-                    const timestampPattern = /^\d{4}-\d{2}-\d{2}_\d{6}_/;
-                    if (timestampPattern.test(name)) {
-                        this.sampleFiles.set(name, handle);
-                    }
+                if (handle.kind === 'file' && this.isSampleFilename(name)) {
+                    this.sampleFiles.set(name, handle);
                 }
             }
 
@@ -76,139 +132,1176 @@ class FileManager {
             console.error('Error scanning for samples:', error);
             throw error;
         }
+
+        await this.startWatching();
+    }
+
+    /**
+     * Watch the current directory (including experiment folders) for changes.
+     * Uses FileSystemObserver where available, otherwise polls and compares
+     * snapshots of the directory entries. Does nothing if it is already watched.
+     */
+    async startWatching() {
+        const dirHandle = this.currentDirectoryHandle;
+        if (!dirHandle || dirHandle === this.watchedDirectoryHandle) return;
+
+        this.stopWatching();
+        this.watchedDirectoryHandle = dirHandle;
+
+        if ('FileSystemObserver' in window) {
+            try {
+                const observer = new FileSystemObserver((records) => this.handleObserverRecords(records));
+                await observer.observe(dirHandle, { recursive: true });
+                if (this.watchedDirectoryHandle !== dirHandle) {
+                    observer.disconnect();
+                    return;
+                }
+                this.directoryObserver = observer;
+                return;
+            } catch (error) {
+                console.warn('FileSystemObserver failed, polling for changes instead:', error);
+            }
+        }
+
+        try {
+            this.directorySnapshot = await this.takeDirectorySnapshot(dirHandle);
+        } catch (error) {
+            console.warn('Could not read directory for change polling:', error);
+            return;
+        }
+        if (this.watchedDirectoryHandle !== dirHandle) return;
+        this.directoryPollTimer = setInterval(() => this.pollDirectory(dirHandle), this.pollInterval);
+    }
+
+    stopWatching() {
+        if (this.directoryObserver) {
+            this.directoryObserver.disconnect();
+            this.directoryObserver = null;
+        }
+        if (this.directoryPollTimer) {
+            clearInterval(this.directoryPollTimer);
+            this.directoryPollTimer = null;
+        }
+        clearTimeout(this.changeDebounceTimer);
+        this.pendingChanges.clear();
+        this.directorySnapshot = null;
+        this.watchedDirectoryHandle = null;
+    }
+
+    /**
+     * Report changes from FileSystemObserver by their top-level entry name,
+     * ignoring hidden folders such as .nmr-samples
+     */
+    handleObserverRecords(records) {
+        const names = records
+            .map(record => (record.relativePathComponents || [])[0])
+            .filter(name => name && !name.startsWith('.'));
+        if (names.length > 0) {
+            this.scheduleContentsChanged(names);
+        }
+    }
+
+    /**
+     * Map each relevant entry of a directory to a stamp of its contents:
+     * sample files by their own stamp, experiment folders by their acqus file
+     */
+    async takeDirectorySnapshot(dirHandle) {
+        const snapshot = new Map();
+        for await (const [name, handle] of dirHandle.entries()) {
+            if (handle.kind === 'file' && this.isSampleFilename(name)) {
+                snapshot.set(name, this.getFileStamp(await handle.getFile()));
+            } else if (handle.kind === 'directory' && /^\d+$/.test(name)) {
+                try {
+                    const acqusHandle = await handle.getFileHandle('acqus');
+                    snapshot.set(name, this.getFileStamp(await acqusHandle.getFile()));
+                } catch (error) {
+                    // Acquisition not started yet
+                    snapshot.set(name, '');
+                }
+            }
+        }
+        return snapshot;
+    }
+
+    /**
+     * List entries added, removed or changed between two snapshots
+     */
+    diffSnapshots(before, after) {
+        const changed = [];
+        for (const [name, stamp] of after) {
+            if (before.get(name) !== stamp) changed.push(name);
+        }
+        for (const name of before.keys()) {
+            if (!after.has(name)) changed.push(name);
+        }
+        return changed;
+    }
+
+    async pollDirectory(dirHandle) {
+        // Skip while hidden, or while a previous poll is still running
+        if (this.polling || document.hidden) return;
+        this.polling = true;
+        try {
+            const snapshot = await this.takeDirectorySnapshot(dirHandle);
+            if (dirHandle !== this.watchedDirectoryHandle) return;
+            const changed = this.diffSnapshots(this.directorySnapshot, snapshot);
+            this.directorySnapshot = snapshot;
+            if (changed.length > 0) {
+                this.scheduleContentsChanged(changed);
+            }
+        } catch (error) {
+            console.warn('Error polling directory for changes:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    scheduleContentsChanged(names) {
+        names.forEach(name => this.pendingChanges.add(name));
+        clearTimeout(this.changeDebounceTimer);
+        this.changeDebounceTimer = setTimeout(() => {
+            const changed = Array.from(this.pendingChanges);
+            this.pendingChanges.clear();
+            if (this.onDirectoryContentsChanged) {
+                this.onDirectoryContentsChanged(changed);
+            }
+        }, this.changeDebounce);
+    }
+
+    /**
+     * Check if a filename looks like a sample file (see FilenameTemplate)
+     */
+    isSampleFilename(name) {
+        return this.filenameTemplate.matches(name);
+    }
+
+    /**
+     * Recursively find sample files below a directory (the root by default).
+     * Hidden folders and numbered TopSpin experiment folders are not searched.
+     * Returns [{ path, filename, dirHandle, fileHandle }] where path is the
+     * folder path relative to the starting directory.
+     */
+    async findSampleFilesRecursive(dirHandle = this.rootDirectoryHandle, path = '') {
+        if (!dirHandle) {
+            throw new Error('No root directory set');
+        }
+
+        const found = [];
+        const subdirectories = [];
+
+        for await (const [name, handle] of dirHandle.entries()) {
+            if (handle.kind === 'file' && this.isSampleFilename(name)) {
+                found.push({ path, filename: name, dirHandle, fileHandle: handle });
+            } else if (handle.kind === 'directory' && !name.startsWith('.') && !/^\d+$/.test(name)) {
+                subdirectories.push([name, handle]);
+            }
+        }
+
+        for (const [name, handle] of subdirectories) {
+            try {
+                const subPath = path ? `${path}/${name}` : name;
+                found.push(...await this.findSampleFilesRecursive(handle, subPath));
+            } catch (error) {
+                console.warn(`Skipping unreadable folder ${name}:`, error);
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Get (creating if needed) a folder inside the hidden .nmr-samples
+     * folder of a dataset, used for backups and other app-managed files
+     */
+    async getHiddenDirectory(dirHandle, name) {
+        this.assertWritable();
+        const appHandle = await dirHandle.getDirectoryHandle('.nmr-samples', { create: true });
+        return appHandle.getDirectoryHandle(name, { create: true });
+    }
+
+    /**
+     * Write text to a file in a directory, creating or replacing it
+     */
+    async writeTextFile(dirHandle, filename, text) {
+        this.assertWritable();
+        const fileHandle = await dirHandle.getFileHandle(filename, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(text);
+        await writable.close();
+        return fileHandle;
+    }
+
+    /**
+     * Format a timestamp for use in backup filenames (e.g. 20251023T143022)
+     */
+    formatFileTimestamp(date = new Date()) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, '');
+    }
+
+    /**
+     * Parse a name made by formatFileTimestamp, with an optional _<counter>
+     * and extension. Returns { date, counter }, or null if it does not match.
+     */
+    parseFileTimestamp(name, extension = '') {
+        const match = name.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(?:_(\d+))?(.*)$/);
+        if (!match || match[8] !== extension) return null;
+        const [, year, month, day, hour, minute, second, counter] = match;
+        return {
+            date: new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`),
+            counter: counter ? Number(counter) : 1
+        };
+    }
+
+    /**
+     * Preview migrating every sample file under the root directory.
+     * Nothing is written. Returns one entry per file with its dry-run
+     * migration report, or the error that stopped it from being read.
+     */
+    async previewBulkMigration(onProgress = null) {
+        if (!this._migrations) {
+            throw new Error('Migrations not loaded');
+        }
+        await this.ensureRootPermission();
+
+        const files = await this.findSampleFilesRecursive();
+        const results = [];
+
+        for (let i = 0; i < files.length; i++) {
+            const entry = files[i];
+            try {
+                const file = await entry.fileHandle.getFile();
+                const data = JSON.parse(await file.text());
+                const report = migrateWithReport(data, this._migrations, { dryRun: true });
+                this.checkSampleVersion(entry.filename, report);
+                results.push({ ...entry, report, needsMigration: report.changes.length > 0 });
+            } catch (error) {
+                results.push({ ...entry, error, needsMigration: false });
+            }
+            if (onProgress) onProgress(i + 1, files.length);
+        }
+
+        return results;
+    }
+
+    /**
+     * Migrate sample files on disk to the latest schema version.
+     * The original of each file is kept as a timestamped backup in the
+     * dataset's .nmr-samples/backup folder before it is overwritten.
+     * Returns { succeeded, skipped, failed } lists of entries.
+     */
+    async applyBulkMigration(entries, onProgress = null) {
+        if (!this._migrations) {
+            throw new Error('Migrations not loaded');
+        }
+        this.assertWritable();
+
+        const summary = { succeeded: [], skipped: [], failed: [] };
+        const latestVersion = getLatestMigrationVersion(this._migrations);
+        const stamp = this.formatFileTimestamp();
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            try {
+                // Re-read in case the file changed since the preview
+                const file = await entry.fileHandle.getFile();
+                const originalText = await file.text();
+                const report = migrateWithReport(JSON.parse(originalText), this._migrations);
+
+                if (report.changes.length === 0) {
+                    summary.skipped.push({ ...entry, reason: 'already up to date' });
+                } else if (report.toVersion !== latestVersion) {
+                    summary.skipped.push({ ...entry, reason: `no migration path from v${report.toVersion}` });
+                } else {
+                    const backupDir = await this.getHiddenDirectory(entry.dirHandle, 'backup');
+                    const backupName = entry.filename.replace(/\.json$/, `.${stamp}.json`);
+                    await this.writeTextFile(backupDir, backupName, originalText);
+                    await this.writeTextFile(entry.dirHandle, entry.filename, JSON.stringify(report.data, null, 2));
+                    summary.succeeded.push({ ...entry, report });
+                }
+            } catch (error) {
+                console.error(`Error migrating ${entry.path}/${entry.filename}:`, error);
+                summary.failed.push({ ...entry, error });
+            }
+            if (onProgress) onProgress(i + 1, entries.length);
+        }
+
+        // Pick up the rewritten files in the current folder
+        await this.scanForSamples();
+
+        return summary;
+    }
+
+    /**
+     * Read a sample file, automatically migrating to current schema version
+     */
+    async readSample(filename) {
+        const fileHandle = this.sampleFiles.get(filename);
+        if (!fileHandle) {
+            throw new Error(`Sample file not found: ${filename}`);
+        }
+
+        try {
+            let data = await this.readSampleFileData(fileHandle, filename);
+            if (typeof migrateWithReport === 'function' && this._migrations) {
+                const report = migrateWithReport(data, this._migrations);
+                data = report.data;
+                this.sampleVersions.set(filename, report.fromVersion);
+                this.checkSampleVersion(filename, report);
+                if (report.changes.length > 0) {
+                    this.migrationReports.set(filename, report);
+                } else {
+                    this.migrationReports.delete(filename);
+                }
+            }
+            this.validateSample(filename, data);
+            return data;
+        } catch (error) {
+            console.error(`Error reading sample ${filename}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse a sample file without migrating it, using the file cache when the
+     * file is unchanged. path is relative to the root directory.
+     */
+    async readSampleFileData(fileHandle, filename, path = this.currentSubfolderPath) {
+        const file = await fileHandle.getFile();
+        return this.readCached(this.getCacheKey('sample', filename, path), this.getFileStamp(file),
+            async () => JSON.parse(await file.text()));
+    }
+
+    /**
+     * Get the file cache key for a file or folder, or null if its location
+     * relative to the root directory is not known
+     */
+    getCacheKey(kind, name, path = this.currentSubfolderPath) {
+        if (!this.rootDirectoryHandle || path.startsWith('...')) return null;
+        const rootName = this.workspace ? this.workspace.name : this.rootDirectoryHandle.name;
+        return `${kind}:${rootName}/${path ? path + '/' : ''}${name}`;
+    }
+
+    /**
+     * Identify a version of a file's contents for cache invalidation
+     */
+    getFileStamp(file) {
+        return `${file.lastModified}:${file.size}`;
+    }
+
+    /**
+     * Return the cached value for key if its stamp matches, otherwise call
+     * parse() and cache the result. Cache failures fall back to parsing.
+     */
+    async readCached(key, stamp, parse) {
+        const useCache = key !== null && this.storage.db !== null;
+        if (useCache) {
+            try {
+                const cached = await this.storage.getCachedFile(key);
+                if (cached && cached.stamp === stamp) {
+                    return cached.value;
+                }
+            } catch (error) {
+                console.warn(`File cache read failed for ${key}:`, error);
+            }
+        }
+
+        const value = await parse();
+        if (useCache) {
+            // Not awaited: the value is copied as soon as the write is queued
+            this.storage.storeCachedFile(key, stamp, value).catch(error => {
+                console.warn(`File cache write failed for ${key}:`, error);
+            });
+        }
+        return value;
+    }
+
+    /**
+     * Remove cache entries of a kind under the root directory whose keys
+     * are not in keepKeys, e.g. for files that have since been deleted
+     */
+    async pruneFileCache(kind, keepKeys) {
+        const prefix = this.getCacheKey(kind, '', '');
+        if (prefix === null || this.storage.db === null) return;
+
+        const keep = new Set(keepKeys);
+        const keys = await this.storage.listCachedFileKeys();
+        const stale = keys.filter(key => key.startsWith(prefix) && !keep.has(key));
+        if (stale.length > 0) {
+            await this.storage.removeCachedFiles(stale);
+        }
+    }
+
+    /**
+     * Read the raw text of a sample file without parsing or migrating it
+     */
+    async readSampleText(filename) {
+        const fileHandle = this.sampleFiles.get(filename);
+        if (!fileHandle) {
+            throw new Error(`Sample file not found: ${filename}`);
+        }
+        const file = await fileHandle.getFile();
+        return file.text();
+    }
+
+    /**
+     * Get the schema version a sample file was written with, as recorded by
+     * the last readSample (null if unrecognised, undefined if not yet read)
+     */
+    getSampleVersion(filename) {
+        return this.sampleVersions.get(filename);
+    }
+
+    /**
+     * Read a sample file as stored on disk, without migrating it, together
+     * with the schema of the version it was written with
+     * Returns { data, version, schema }
+     */
+    async readOriginalSample(filename) {
+        const data = JSON.parse(await this.readSampleText(filename));
+        const version = detectSchemaVersion(data);
+        if (version === null) {
+            throw new SampleVersionError('Unrecognised sample file: its schema version cannot be determined', filename);
+        }
+        if (!this._schemaHandler) {
+            throw new Error('Schema handler not set');
+        }
+        const schema = await this._schemaHandler.loadSchemaVersion(version);
+        return { data, version, schema };
+    }
+
+    /**
+     * Validate a sample file as stored on disk against the schema version
+     * it claims (or was detected) to use
+     */
+    async validateSampleAgainstOwnVersion(filename) {
+        const { data, schema } = await this.readOriginalSample(filename);
+        return this._schemaHandler.validate(data, schema);
+    }
+
+    /**
+     * Throw a SampleVersionError if a migrated sample did not reach the
+     * latest version, so that it is flagged rather than shown half-migrated
+     */
+    checkSampleVersion(filename, report) {
+        if (report.fromVersion === null) {
+            throw new SampleVersionError(
+                'Unrecognised sample file: it has no schema_version and its layout does not match any known schema version',
+                filename
+            );
+        }
+        if (report.toVersion !== this._latestMigrationVersion) {
+            throw new SampleVersionError(
+                `Sample uses schema version ${report.toVersion}, which cannot be migrated to ${this._latestMigrationVersion}`,
+                filename,
+                report.toVersion
+            );
+        }
+    }
+
+    /**
+     * Store loaded migrations for use during readSample
+     */
+    setMigrations(migrations) {
+        this._migrations = migrations;
+        this._latestMigrationVersion = getLatestMigrationVersion(migrations);
+    }
+
+    /**
+     * Get the migration report recorded when a sample was last read,
+     * or null if it was already at the latest version
+     */
+    getMigrationReport(filename) {
+        return this.migrationReports.get(filename) || null;
+    }
+
+    /**
+     * Get the loaded migrations (null if none were loaded)
+     */
+    getMigrations() {
+        return this._migrations || null;
+    }
+
+    /**
+     * Store the schema handler used to validate samples during readSample
+     * and to stamp the schema version in writeSample
+     */
+    setSchemaHandler(schemaHandler) {
+        this._schemaHandler = schemaHandler;
+    }
+
+    /**
+     * Validate sample data against the loaded schema and record any errors
+     */
+    validateSample(filename, data) {
+        if (!this._schemaHandler || !this._schemaHandler.getSchema()) {
+            return [];
+        }
+
+        const errors = this._schemaHandler.validate(data);
+        if (errors.length > 0) {
+            console.warn(`Sample ${filename} does not match the schema:`,
+                this._schemaHandler.formatValidationErrors(errors));
+            this.validationErrors.set(filename, errors);
+        } else {
+            this.validationErrors.delete(filename);
+        }
+        return errors;
+    }
+
+    /**
+     * Get validation errors recorded when a sample was last read
+     */
+    getValidationErrors(filename) {
+        return this.validationErrors.get(filename) || [];
+    }
+
+    /**
+     * Write a sample file
+     */
+    async writeSample(filename, data, skipCallback = false) {
+        if (!this.currentDirectoryHandle) {
+            throw new Error('No directory selected');
+        }
+        this.assertWritable();
+
+        try {
+            this.stampSampleMetadata(data);
+
+            // Keep the version being replaced so the edit can be undone
+            await this.saveSampleRevision(filename);
+
+            const fileHandle = await this.currentDirectoryHandle.getFileHandle(filename, {
+                create: true
+            });
+
+            const writable = await fileHandle.createWritable();
+            await writable.write(JSON.stringify(data, null, 2));
+            await writable.close();
+
+            // Update our cache
+            this.sampleFiles.set(filename, fileHandle);
+
+            // Only trigger callback if not explicitly skipped
+            if (!skipCallback && this.onSamplesChanged) {
+                this.onSamplesChanged(this.getSampleFilenames());
+            }
+
+        } catch (error) {
+            console.error(`Error writing sample ${filename}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the created (if missing) and modified timestamps, the sample UUID
+     * (if missing) and the schema version of a sample about to be written
+     */
+    stampSampleMetadata(data) {
+        if (!data.metadata) {
+            data.metadata = {};
+        }
+
+        if (!data.metadata.sample_uuid) {
+            data.metadata.sample_uuid = crypto.randomUUID();
+        }
+
+        const now = new Date().toISOString();
+        if (!data.metadata.created_timestamp) {
+            data.metadata.created_timestamp = now;
+            // A new sample goes into the magnet when it is created
+            if (!data.metadata.lifecycle || data.metadata.lifecycle.length === 0) {
+                data.metadata.lifecycle = [{ event: 'inject', timestamp: now }];
+            }
+        }
+        data.metadata.modified_timestamp = now;
+        if (this._schemaHandler && this._schemaHandler.getSchemaVersion()) {
+            data.metadata.schema_version = this._schemaHandler.getSchemaVersion();
+            const schemaSource = this._schemaHandler.getSchemaSource();
+            if (schemaSource) {
+                data.metadata.schema_source = schemaSource;
+            }
+        }
+    }
+
+    /**
+     * Ask the user for a folder under the root directory to copy or move samples to
+     * Returns { dirHandle, path } with path relative to the root, or null if cancelled
+     */
+    async pickTargetFolder() {
+        if (!this.rootDirectoryHandle) {
+            throw new Error('No root directory set');
+        }
+
+        let dirHandle;
+        try {
+            dirHandle = await window.showDirectoryPicker({
+                mode: this.permissionMode,
+                startIn: this.currentDirectoryHandle || this.rootDirectoryHandle
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            throw error;
+        }
+
+        const relativePath = await this.rootDirectoryHandle.resolve(dirHandle);
+        if (!relativePath) {
+            throw new Error(`${dirHandle.name} is not inside the root directory ${this.rootDirectoryHandle.name}`);
+        }
+        return { dirHandle, path: relativePath.join('/') };
+    }
+
+    /**
+     * Copy or move a sample from the current directory to another folder
+     * under the root directory. All of its data is carried over and
+     * metadata.source links back to the original file. A copy is a new
+     * sample, created now; a move keeps its timestamps and filename (unless
+     * taken), and the original is kept in this folder's history.
+     * Returns the filename in the target folder.
+     */
+    async transferSample(filename, target, operation) {
+        this.assertWritable();
+        if (await target.dirHandle.isSameEntry(this.currentDirectoryHandle)) {
+            throw new Error('The sample is already in this folder');
+        }
+
+        const state = await this.getSampleFileState(filename);
+        const data = await this.readSample(filename);
+        data.metadata = data.metadata || {};
+        if (operation === 'copy' && !data.metadata.sample_uuid) {
+            // Give the original its UUID first, so that the copy shares it, unless
+            // someone else is editing it or saved it since it was read; the copy
+            // then gets a UUID of its own
+            const lock = await this.readSampleLock(filename);
+            const current = await this.getSampleFileState(filename);
+            const lockedElsewhere = lock && !lock.stale && lock.session !== this.sessionId;
+            if (!lockedElsewhere && current.lastModified === state.lastModified
+                && current.modifiedTimestamp === state.modifiedTimestamp) {
+                await this.writeSample(filename, data, true);
+            }
+        }
+        const now = new Date();
+        if (operation === 'copy') {
+            delete data.metadata.created_timestamp;
+            delete data.metadata.ejected_timestamp;
+            delete data.metadata.lifecycle;
+        }
+        data.metadata.source = {
+            path: this.currentSubfolderPath,
+            filename,
+            operation,
+            timestamp: now.toISOString()
+        };
+        this.stampSampleMetadata(data);
+
+        const label = data.sample?.label || 'Sample';
+        const newFilename = operation === 'move' && !await this.fileExists(target.dirHandle, filename)
+            ? filename
+            : await this.generateFilename(label, new Date(data.metadata.created_timestamp), target.dirHandle);
+        await this.writeTextFile(target.dirHandle, newFilename, JSON.stringify(data, null, 2));
+
+        if (operation === 'move') {
+            await this.saveSampleRevision(filename);
+            await this.currentDirectoryHandle.removeEntry(filename);
+            this.sampleFiles.delete(filename);
+            if (this.onSamplesChanged) {
+                this.onSamplesChanged(this.getSampleFilenames());
+            }
+        }
+        return newFilename;
+    }
+
+    /**
+     * Generate filename for new sample, adding a counter if the name is
+     * already taken in the directory
+     */
+    async generateFilename(sampleLabel = 'Sample', date = new Date(), dirHandle = this.currentDirectoryHandle) {
+        return this.filenameTemplate.generate(sampleLabel, date,
+            filename => this.fileExists(dirHandle, filename));
+    }
+
+    /**
+     * Ask the user for sample files to import from anywhere on disk
+     * Returns File objects (empty if the picker was cancelled)
+     */
+    async pickImportFiles() {
+        try {
+            const fileHandles = await window.showOpenFilePicker({
+                multiple: true,
+                types: [{ description: 'JSON', accept: { 'application/json': ['.json'] } }]
+            });
+            return Promise.all(fileHandles.map(fileHandle => fileHandle.getFile()));
+        } catch (error) {
+            if (error.name === 'AbortError') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Read a sample file from outside the dataset for import: parse it,
+     * migrate it to the latest schema version and validate it
+     * Returns { name, data, report, errors, lastModified }
+     */
+    async readImportFile(file) {
+        let data = JSON.parse(await file.text());
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('The file does not contain a sample');
+        }
+
+        let report = null;
+        if (typeof migrateWithReport === 'function' && this._migrations) {
+            report = migrateWithReport(data, this._migrations);
+            this.checkSampleVersion(file.name, report);
+            data = report.data;
+        }
+
+        const errors = this._schemaHandler && this._schemaHandler.getSchema()
+            ? this._schemaHandler.validate(data)
+            : [];
+        return { name: file.name, data, report, errors, lastModified: new Date(file.lastModified) };
+    }
+
+    /**
+     * Write an imported sample into the current directory, named from its
+     * label and created time. The created time replaces the first injection
+     * and the ejected time the last ejection; other lifecycle events are kept,
+     * and must fall between the two. Returns the new filename.
+     */
+    async importSample(data, created, ejected = null) {
+        const lifecycle = this.getLifecycle(data);
+        data.metadata = { ...(data.metadata || {}), created_timestamp: created.toISOString() };
+
+        const firstInjection = lifecycle.find(entry => entry.event === 'inject');
+        if (firstInjection) {
+            firstInjection.timestamp = created.toISOString();
+        } else {
+            lifecycle.unshift({ event: 'inject', timestamp: created.toISOString() });
+        }
+        // Drop the last ejection, and where the sample was stored after it
+        const lastMove = lifecycle.filter(entry => entry.event !== 'stored').pop();
+        if (lastMove.event === 'eject') {
+            lifecycle.splice(lifecycle.indexOf(lastMove));
+        }
+
+        if (ejected) {
+            data.metadata.ejected_timestamp = ejected.toISOString();
+            lifecycle.push({ event: 'eject', timestamp: ejected.toISOString() });
+        } else {
+            delete data.metadata.ejected_timestamp;
+        }
+
+        // The timeline and magnet intervals rely on events being in time order
+        const outOfOrder = lifecycle.findIndex((entry, i) =>
+            i > 0 && new Date(entry.timestamp) < new Date(lifecycle[i - 1].timestamp));
+        if (outOfOrder !== -1) {
+            const [before, after] = lifecycle.slice(outOfOrder - 1, outOfOrder + 1);
+            const format = (entry) => `${entry.event} at ${new Date(entry.timestamp).toLocaleString('en-GB')}`;
+            throw new Error(`The created and ejected times do not fit the sample's recorded lifecycle: ` +
+                `${format(before)} comes after ${format(after)}`);
+        }
+        data.metadata.lifecycle = lifecycle;
+
+        const filename = await this.generateFilename(data.sample?.label || 'ImportedSample', created);
+        await this.writeSample(filename, data);
+        return filename;
+    }
+
+    /**
+     * Check if a sample has been ejected
+     */
+    async getSampleStatus(filename) {
+        try {
+            return this.getLifecycleStatus(await this.readSample(filename));
+        } catch (error) {
+            console.error(`Error getting status for ${filename}:`, error);
+            return 'error';
+        }
+    }
+
+    /**
+     * Get whether a sample is in the magnet ('ready'), out of it ('ejected')
+     * or has no recorded injection ('unknown'), from its latest event
+     */
+    getLifecycleStatus(data) {
+        const events = this.getLifecycle(data).filter(entry => entry.event !== 'stored');
+        if (events.length === 0) return 'unknown';
+        return events[events.length - 1].event === 'eject' ? 'ejected' : 'ready';
+    }
+
+    /**
+     * Get a sample's lifecycle events, oldest first. A sample without a
+     * lifecycle (e.g. not migrated) is described by its created and ejected times.
+     */
+    getLifecycle(data) {
+        const metadata = data.metadata || {};
+        if (Array.isArray(metadata.lifecycle)) {
+            return metadata.lifecycle
+                .filter(entry => entry && entry.timestamp)
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        }
+
+        const events = [];
+        if (metadata.created_timestamp) {
+            events.push({ event: 'inject', timestamp: metadata.created_timestamp });
+        }
+        if (metadata.ejected_timestamp) {
+            events.push({ event: 'eject', timestamp: metadata.ejected_timestamp });
+        }
+        return events;
+    }
+
+    /**
+     * Get the intervals a sample spent in the magnet, oldest first
+     * Returns [{ start, end }] as Dates, with end null while it is still in
+     */
+    getMagnetIntervals(data) {
+        const intervals = [];
+        for (const entry of this.getLifecycle(data)) {
+            const isOpen = intervals.length > 0 && intervals[intervals.length - 1].end === null;
+            if (entry.event === 'inject' && !isOpen) {
+                intervals.push({ start: new Date(entry.timestamp), end: null });
+            } else if (entry.event === 'eject' && isOpen) {
+                intervals[intervals.length - 1].end = new Date(entry.timestamp);
+            }
+        }
+        return intervals;
+    }
+
+    /**
+     * Record a lifecycle event, starting the lifecycle from the created and
+     * ejected times if the sample does not have one yet
+     */
+    addLifecycleEvent(data, event, timestamp, details = {}) {
+        data.metadata = data.metadata || {};
+        data.metadata.lifecycle = this.getLifecycle(data);
+        data.metadata.lifecycle.push({ event, timestamp, ...details });
+    }
+
+    /**
+     * Mark sample as ejected, optionally recording where it is stored
+     */
+    async ejectSample(filename, storedLocation = null) {
+        try {
+            const data = await this.readSample(filename);
+
+            // Don't add another ejection if the sample is already out
+            if (this.getLifecycleStatus(data) === 'ejected') {
+                return true;
+            }
+
+            const now = new Date().toISOString();
+            this.addLifecycleEvent(data, 'eject', now);
+            if (storedLocation) {
+                this.addLifecycleEvent(data, 'stored', now, { location: storedLocation });
+            }
+            data.metadata.ejected_timestamp = now;
+            // Skip callback here since we'll call scanForSamples manually
+            await this.writeSample(filename, data, true);
+            
+            return true;
+        } catch (error) {
+            console.error(`Error ejecting sample ${filename}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Put an ejected sample back into the magnet
+     */
+    async reinjectSample(filename) {
+        const data = await this.readSample(filename);
+        if (this.getLifecycleStatus(data) !== 'ejected') {
+            throw new Error('The sample is not ejected');
+        }
+
+        this.addLifecycleEvent(data, 'inject', new Date().toISOString());
+        delete data.metadata.ejected_timestamp;
+        await this.writeSample(filename, data, true);
+    }
+
+    /**
+     * Get what identifies the version of a sample file on disk, for detecting
+     * changes made elsewhere while it is open
+     * Returns { lastModified, modifiedTimestamp }
+     */
+    async getSampleFileState(filename) {
+        const fileHandle = await this.currentDirectoryHandle.getFileHandle(filename);
+        const file = await fileHandle.getFile();
+        const data = await this.readSampleFileData(fileHandle, filename);
+        return {
+            lastModified: file.lastModified,
+            modifiedTimestamp: data.metadata?.modified_timestamp || data.Metadata?.modified_timestamp || null
+        };
+    }
+
+    /**
+     * Read the advisory edit lock of a sample, or null if there is none
+     * Returns { editor, session, acquired, heartbeat, stale }
+     */
+    async readSampleLock(filename, dirHandle = this.currentDirectoryHandle) {
+        try {
+            const appHandle = await dirHandle.getDirectoryHandle('.nmr-samples');
+            const locksDir = await appHandle.getDirectoryHandle('locks');
+            const lockHandle = await locksDir.getFileHandle(`${filename}.lock`);
+            const lock = JSON.parse(await (await lockHandle.getFile()).text());
+            lock.stale = Date.now() - new Date(lock.heartbeat).getTime() > this.lockExpiry;
+            return lock;
+        } catch (error) {
+            if (error.name === 'NotFoundError' || error instanceof SyntaxError) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Take the advisory edit lock of a sample for this session. Unless force
+     * is set, a fresh lock held by another session is left in place.
+     * Returns { acquired, lock } where lock is the other session's lock if not acquired.
+     */
+    async acquireSampleLock(filename, editor, force = false, dirHandle = this.currentDirectoryHandle) {
+        const existing = await this.readSampleLock(filename, dirHandle);
+        if (existing && !existing.stale && existing.session !== this.sessionId && !force) {
+            return { acquired: false, lock: existing };
+        }
+
+        const now = new Date().toISOString();
+        const lock = {
+            editor,
+            session: this.sessionId,
+            acquired: existing && existing.session === this.sessionId ? existing.acquired : now,
+            heartbeat: now
+        };
+        const locksDir = await this.getHiddenDirectory(dirHandle, 'locks');
+        await this.writeTextFile(locksDir, `${filename}.lock`, JSON.stringify(lock, null, 2));
+        return { acquired: true, lock };
+    }
+
+    /**
+     * Remove the edit lock of a sample if this session holds it
+     */
+    async releaseSampleLock(filename, dirHandle = this.currentDirectoryHandle) {
+        if (this.readOnly) return;
+        const existing = await this.readSampleLock(filename, dirHandle);
+        if (!existing || existing.session !== this.sessionId) return;
+
+        const appHandle = await dirHandle.getDirectoryHandle('.nmr-samples');
+        const locksDir = await appHandle.getDirectoryHandle('locks');
+        await locksDir.removeEntry(`${filename}.lock`);
+    }
+
+    /**
+     * Take a sample out of the current dataset into .nmr-samples/trash
+     * (deleted) or .nmr-samples/archive (archived), in a folder named by the
+     * time it was removed so that it can be restored under its own name.
+     * Being out of the dataset, it no longer appears in the sample list,
+     * the timeline or the search index.
+     */
+    async removeSample(filename, bin = 'trash') {
+        this.assertWritable();
+        const fileHandle = await this.currentDirectoryHandle.getFileHandle(filename);
+        const text = await (await fileHandle.getFile()).text();
+
+        const binDir = await this.getHiddenDirectory(this.currentDirectoryHandle, bin);
+        const stamp = this.formatFileTimestamp();
+        let folderName = stamp;
+        for (let counter = 2; await this.directoryHasFile(binDir, folderName, filename); counter++) {
+            folderName = `${stamp}_${counter}`;
+        }
+        const folder = await binDir.getDirectoryHandle(folderName, { create: true });
+        await this.writeTextFile(folder, filename, text);
+        await this.currentDirectoryHandle.removeEntry(filename);
+
+        this.sampleFiles.delete(filename);
+        this.validationErrors.delete(filename);
+        this.migrationReports.delete(filename);
+        this.sampleVersions.delete(filename);
+        if (this.onSamplesChanged) {
+            this.onSamplesChanged(this.getSampleFilenames());
+        }
+    }
+
+    async directoryHasFile(parentHandle, folderName, filename) {
+        try {
+            return await this.fileExists(await parentHandle.getDirectoryHandle(folderName), filename);
+        } catch (error) {
+            if (error.name === 'NotFoundError') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * List samples removed from the current dataset, newest first
+     * Returns [{ bin ('trash' or 'archive'), filename, label, removed, counter, folderHandle, fileHandle }]
+     */
+    async listRemovedSamples() {
+        const removed = [];
+        let appHandle;
+        try {
+            appHandle = await this.currentDirectoryHandle.getDirectoryHandle('.nmr-samples');
+        } catch (error) {
+            if (error.name === 'NotFoundError') return removed;
+            throw error;
+        }
+
+        for (const bin of ['trash', 'archive']) {
+            let binDir;
+            try {
+                binDir = await appHandle.getDirectoryHandle(bin);
+            } catch (error) {
+                if (error.name === 'NotFoundError') continue;
+                throw error;
+            }
+
+            for await (const [folderName, folderHandle] of binDir.entries()) {
+                const stamp = this.parseFileTimestamp(folderName);
+                if (folderHandle.kind !== 'directory' || !stamp) continue;
+
+                for await (const [filename, fileHandle] of folderHandle.entries()) {
+                    if (fileHandle.kind !== 'file' || !filename.endsWith('.json')) continue;
+                    let label = '';
+                    try {
+                        label = JSON.parse(await (await fileHandle.getFile()).text()).sample?.label || '';
+                    } catch (error) {
+                        console.warn(`Could not read removed sample ${filename}:`, error);
+                    }
+                    removed.push({ bin, filename, label, removed: stamp.date, counter: stamp.counter, folderHandle, fileHandle });
+                }
+            }
+        }
+
+        return removed.sort((a, b) => (b.removed - a.removed) || (b.counter - a.counter));
+    }
+
+    /**
+     * Put a removed sample (from listRemovedSamples) back into the dataset
+     */
+    async restoreRemovedSample(entry) {
+        if (await this.fileExists(this.currentDirectoryHandle, entry.filename)) {
+            throw new Error(`A sample named ${entry.filename} is already in this folder`);
+        }
+
+        const text = await (await entry.fileHandle.getFile()).text();
+        const fileHandle = await this.writeTextFile(this.currentDirectoryHandle, entry.filename, text);
+        await this.deleteRemovedSample(entry);
+
+        if (this.isSampleFilename(entry.filename)) {
+            this.sampleFiles.set(entry.filename, fileHandle);
+            if (this.onSamplesChanged) {
+                this.onSamplesChanged(this.getSampleFilenames());
+            }
+        }
+    }
+
+    /**
+     * Permanently delete a removed sample (from listRemovedSamples)
+     */
+    async deleteRemovedSample(entry) {
+        this.assertWritable();
+        await entry.folderHandle.removeEntry(entry.filename);
+
+        // Remove the dated folder once it is empty
+        const remaining = await entry.folderHandle.keys().next();
+        if (remaining.done) {
+            const binDir = await this.getHiddenDirectory(this.currentDirectoryHandle, entry.bin);
+            await binDir.removeEntry(entry.folderHandle.name);
+        }
     }
 
     /**
-     * Read a sample file, automatically migrating to current schema version
+     * Get the history folder of a sample (.nmr-samples/history/<name>), or
+     * null if it does not exist and create is false
      */
-    async readSample(filename) {
-        const fileHandle = this.sampleFiles.get(filename);
-        if (!fileHandle) {
-            throw new Error(`Sample file not found: ${filename}`);
+    async getSampleHistoryDirectory(filename, create = false) {
+        const sampleName = filename.replace(/\.json$/, '');
+        if (create) {
+            const historyDir = await this.getHiddenDirectory(this.currentDirectoryHandle, 'history');
+            return historyDir.getDirectoryHandle(sampleName, { create: true });
         }
 
         try {
-            const file = await fileHandle.getFile();
-            const text = await file.text();
-            const data = JSON.parse(text);
-            if (typeof updateToLatestSchema === 'function' && this._migrations) {
-                return updateToLatestSchema(data, this._migrations);
-            }
-            return data;
+            const appHandle = await this.currentDirectoryHandle.getDirectoryHandle('.nmr-samples');
+            const historyDir = await appHandle.getDirectoryHandle('history');
+            return await historyDir.getDirectoryHandle(sampleName);
         } catch (error) {
-            console.error(`Error reading sample ${filename}:`, error);
+            if (error.name === 'NotFoundError') return null;
             throw error;
         }
     }
 
     /**
-     * Store loaded migrations for use during readSample
-     */
-    setMigrations(migrations) {
-        this._migrations = migrations;
-    }
-
-    /**
-     * Write a sample file
+     * Copy the current contents of a sample file into its history folder,
+     * named by the time it was replaced. Does nothing for a new file.
      */
-    async writeSample(filename, data, skipCallback = false) {
-        if (!this.currentDirectoryHandle) {
-            throw new Error('No directory selected');
-        }
-
+    async saveSampleRevision(filename) {
+        let fileHandle;
         try {
-            // Add metadata if not present
-            if (!data.metadata) {
-                data.metadata = {};
-            }
-
-            const now = new Date().toISOString();
-            if (!data.metadata.created_timestamp) {
-                data.metadata.created_timestamp = now;
-            }
-            data.metadata.modified_timestamp = now;
-            data.metadata.schema_version = "0.1.0";
-
-            const fileHandle = await this.currentDirectoryHandle.getFileHandle(filename, {
-                create: true
-            });
-
-            const writable = await fileHandle.createWritable();
-            await writable.write(JSON.stringify(data, null, 2));
-            await writable.close();
+            fileHandle = await this.currentDirectoryHandle.getFileHandle(filename);
+        } catch (error) {
+            if (error.name === 'NotFoundError') return;
+            throw error;
+        }
 
-            // Update our cache
-            this.sampleFiles.set(filename, fileHandle);
+        const text = await (await fileHandle.getFile()).text();
+        const historyDir = await this.getSampleHistoryDirectory(filename, true);
 
-            // Only trigger callback if not explicitly skipped
-            if (!skipCallback && this.onSamplesChanged) {
-                this.onSamplesChanged(this.getSampleFilenames());
-            }
+        // Saves within the same second get a counter
+        const stamp = this.formatFileTimestamp();
+        let revisionName = `${stamp}.json`;
+        for (let counter = 2; await this.fileExists(historyDir, revisionName); counter++) {
+            revisionName = `${stamp}_${counter}.json`;
+        }
+        await this.writeTextFile(historyDir, revisionName, text);
+    }
 
+    async fileExists(dirHandle, filename) {
+        try {
+            await dirHandle.getFileHandle(filename);
+            return true;
         } catch (error) {
-            console.error(`Error writing sample ${filename}:`, error);
+            if (error.name === 'NotFoundError') return false;
             throw error;
         }
     }
 
     /**
-     * Generate filename for new sample
+     * List earlier versions of a sample, newest first
+     * Returns [{ name, replaced (Date the version was superseded), counter, fileHandle }]
      */
-    generateFilename(sampleLabel = 'Sample') {
-        const now = new Date();
-        const datePart = now.toISOString().split('T')[0]; // YYYY-MM-DD
-        const timePart = now.toTimeString().slice(0, 8).replace(/:/g, ''); // HHMMSS
-        
-        // Clean sample label for filename
-        const cleanLabel = sampleLabel.replace(/[^a-zA-Z0-9_-]/g, '_');
-        
-        return `${datePart}_${timePart}_${cleanLabel}.json`;
+    async listSampleRevisions(filename) {
+        const historyDir = await this.getSampleHistoryDirectory(filename);
+        if (!historyDir) return [];
+
+        const revisions = [];
+        for await (const [name, handle] of historyDir.entries()) {
+            const stamp = this.parseFileTimestamp(name, '.json');
+            if (handle.kind === 'file' && stamp) {
+                revisions.push({ name, replaced: stamp.date, counter: stamp.counter, fileHandle: handle });
+            }
+        }
+
+        return revisions.sort((a, b) => (b.replaced - a.replaced) || (b.counter - a.counter));
     }
 
     /**
-     * Check if a sample has been ejected
+     * Read an earlier version of a sample, migrated to the current schema
+     * version so that it can be compared with the current file
      */
-    async getSampleStatus(filename) {
-        try {
-            const data = await this.readSample(filename);
-            const metadata = data.metadata || {};
-
-            if (metadata.ejected_timestamp) {
-                return 'ejected';
-            } else if (metadata.created_timestamp) {
-                return 'ready'; // Created but not ejected
-            }
-            return 'unknown';
-        } catch (error) {
-            console.error(`Error getting status for ${filename}:`, error);
-            return 'error';
+    async readSampleRevision(filename, revisionName) {
+        const historyDir = await this.getSampleHistoryDirectory(filename);
+        if (!historyDir) {
+            throw new Error(`No history found for ${filename}`);
         }
+        const fileHandle = await historyDir.getFileHandle(revisionName);
+        const data = JSON.parse(await (await fileHandle.getFile()).text());
+        return this._migrations ? migrateWithReport(data, this._migrations).data : data;
     }
 
     /**
-     * Mark sample as ejected
+     * Replace a sample with an earlier version. The version being replaced
+     * is itself kept in the history, so a restore can be undone.
      */
-    async ejectSample(filename) {
-        try {
-            const data = await this.readSample(filename);
-            if (!data.metadata) {
-                data.metadata = {};
-            }
-
-            // Don't update timestamp if sample is already ejected
-            if (data.metadata.ejected_timestamp) {
-                return true; // Already ejected, do nothing
-            }
-
-            data.metadata.ejected_timestamp = new Date().toISOString();
-            // Skip callback here since we'll call scanForSamples manually
-            await this.writeSample(filename, data, true);
-            
-            return true;
-        } catch (error) {
-            console.error(`Error ejecting sample ${filename}:`, error);
-            throw error;
-        }
+    async restoreSampleRevision(filename, revisionName) {
+        const data = await this.readSampleRevision(filename, revisionName);
+        await this.writeSample(filename, data);
+        return data;
     }
 
     /**
@@ -226,7 +1319,7 @@ class FileManager {
                 sourceData.sample.label = newLabel;
             }
             
-            const newFilename = this.generateFilename(newLabel || 'DuplicatedSample');
+            const newFilename = await this.generateFilename(newLabel || 'DuplicatedSample');
             await this.writeSample(newFilename, sourceData);
             
             return newFilename;
@@ -236,6 +1329,37 @@ class FileManager {
         }
     }
 
+    /**
+     * Export a sample converted to an older (or other) schema version.
+     * The file in the dataset is left untouched; the converted copy is
+     * saved wherever the user chooses.
+     */
+    async exportSampleAsVersion(filename, targetVersion) {
+        if (!this._migrations) {
+            throw new Error('Migrations not loaded - cannot convert between schema versions');
+        }
+
+        const data = await this.readSample(filename);
+        const converted = updateToSchema(JSON.parse(JSON.stringify(data)), targetVersion, this._migrations);
+
+        try {
+            const suggestedName = filename.replace(/\.json$/, `_v${targetVersion}.json`);
+            const fileHandle = await window.showSaveFilePicker({
+                suggestedName,
+                types: [{ description: 'JSON', accept: { 'application/json': ['.json'] } }]
+            });
+            const writable = await fileHandle.createWritable();
+            await writable.write(JSON.stringify(converted, null, 2));
+            await writable.close();
+            return fileHandle.name;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                throw error;
+            }
+            return null;
+        }
+    }
+
     /**
      * Get current directory name
      */
@@ -262,38 +1386,58 @@ class FileManager {
     }
 
     /**
-     * Set root directory and persist it
+     * Storage key of a workspace's root directory handle
+     */
+    getWorkspaceKey(name) {
+        return `workspace:${name}`;
+    }
+
+    /**
+     * List the stored workspaces by name
+     * Returns [{ name, rootName, displayPath }]
+     */
+    async listWorkspaces() {
+        const prefix = this.getWorkspaceKey('');
+        const workspaces = [];
+        for (const stored of await this.storage.listStoredHandles()) {
+            if (!stored.key.startsWith(prefix)) continue;
+            const storedData = await this.storage.getDirectoryHandle(stored.key);
+            workspaces.push({
+                name: stored.key.slice(prefix.length),
+                rootName: storedData.metadata.name,
+                displayPath: storedData.metadata.displayName || null,
+                readOnly: storedData.metadata.readOnly === true
+            });
+        }
+        return workspaces.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Choose a root directory for a new workspace, or a new root directory for
+     * the active one, persist it and switch to it
      */
-    async setRootDirectory() {
+    async setRootDirectory(workspaceName = null, displayPath = null, readOnly = this.readOnly) {
         if (!this.isSupported()) {
             throw new Error('File System Access API not supported. Please use Chrome or Edge.');
         }
 
         try {
             const dirHandle = await window.showDirectoryPicker({
-                mode: 'readwrite'
+                mode: readOnly ? 'read' : 'readwrite'
             });
-            
-            this.rootDirectoryHandle = dirHandle;
-            console.log('Storing root directory handle:', dirHandle.name);
-            await this.storage.storeDirectoryHandle('root', dirHandle, {
+
+            const name = workspaceName || this.workspace?.name || dirHandle.name;
+            console.log(`Storing root directory handle for workspace ${name}:`, dirHandle.name);
+            await this.storage.storeDirectoryHandle(this.getWorkspaceKey(name), dirHandle, {
                 type: 'root',
                 name: dirHandle.name,
-                // Store display name (we'll show just the name for now, but this allows future expansion)
-                displayName: dirHandle.name
+                // The File System API cannot tell us the full path, so the user may give one for display
+                displayName: displayPath || (name === this.workspace?.name ? this.workspace.displayPath : null),
+                readOnly
             });
             console.log('Root directory handle stored successfully');
 
-            if (this.onRootDirectoryChanged) {
-                // For root directory, show the folder name (since we can't get full path from File System API)
-                this.onRootDirectoryChanged(dirHandle.name);
-            }
-            
-            // Reset current directory to root
-            this.currentDirectoryHandle = dirHandle;
-            this.currentSubfolderPath = '';
-            await this.scanForSamples();
-            
+            await this.activateWorkspace(await this.storage.getDirectoryHandle(this.getWorkspaceKey(name)), name);
             return dirHandle;
         } catch (error) {
             if (error.name !== 'AbortError') {
@@ -303,44 +1447,218 @@ class FileManager {
     }
 
     /**
-     * Load stored root directory
+     * Switch to a stored workspace, asking again for access to its root
+     * directory if the browser no longer grants it. Must be called from a
+     * user action.
+     */
+    async switchWorkspace(name) {
+        const storedData = await this.storage.getDirectoryHandle(this.getWorkspaceKey(name));
+        if (!storedData) {
+            throw new Error(`Workspace not found: ${name}`);
+        }
+        const mode = storedData.metadata.readOnly ? 'read' : 'readwrite';
+        if (!await this.storage.verifyDirectoryHandle(storedData, true, mode)) {
+            throw new Error(mode === 'read'
+                ? `Access to ${storedData.metadata.name} was not granted`
+                : `Write access to ${storedData.metadata.name} was not granted. Open it read-only to browse it.`);
+        }
+        await this.activateWorkspace(storedData, name);
+    }
+
+    /**
+     * Switch the active workspace between read-only and read/write access.
+     * Write access is asked for if needed, so call this from a user action.
+     */
+    async setReadOnly(readOnly) {
+        if (!this.workspace) {
+            throw new Error('No root directory set');
+        }
+        const key = this.getWorkspaceKey(this.workspace.name);
+        const storedData = await this.storage.getDirectoryHandle(key);
+        if (!readOnly && !await this.storage.verifyDirectoryHandle(storedData, true, 'readwrite')) {
+            throw new Error(`Write access to ${storedData.metadata.name} was not granted`);
+        }
+
+        await this.storage.storeDirectoryHandle(key, storedData.handle, { ...storedData.metadata, readOnly });
+        this.readOnly = readOnly;
+        await this.notifyWorkspacesChanged();
+    }
+
+    /**
+     * Set the display path of the active workspace's root directory
+     */
+    async setWorkspaceDisplayPath(displayPath) {
+        if (!this.workspace) {
+            throw new Error('No root directory set');
+        }
+        const key = this.getWorkspaceKey(this.workspace.name);
+        const storedData = await this.storage.getDirectoryHandle(key);
+        await this.storage.storeDirectoryHandle(key, storedData.handle, {
+            ...storedData.metadata,
+            displayName: displayPath || null
+        });
+        this.workspace.displayPath = displayPath || null;
+        if (this.onRootDirectoryChanged) {
+            this.onRootDirectoryChanged(this.rootDirectoryHandle.name);
+        }
+    }
+
+    /**
+     * Forget a workspace. Files on disk are not touched. Removing the active
+     * workspace leaves no root directory set.
+     */
+    async removeWorkspace(name) {
+        await this.storage.removeDirectoryHandle(this.getWorkspaceKey(name));
+        if (this.workspace?.name === name) {
+            this.stopWatching();
+            this.workspace = null;
+            this.readOnly = false;
+            this.rootDirectoryHandle = null;
+            this.currentDirectoryHandle = null;
+            this.currentSubfolderPath = '';
+            this.sampleFiles.clear();
+            localStorage.removeItem(this.activeWorkspaceKey);
+
+            if (this.onRootDirectoryChanged) this.onRootDirectoryChanged(null);
+            if (this.onDirectoryChanged) this.onDirectoryChanged(null);
+            if (this.onSamplesChanged) this.onSamplesChanged([]);
+        }
+        await this.notifyWorkspacesChanged();
+    }
+
+    /**
+     * Make a stored workspace the active one and show its root directory
+     */
+    async activateWorkspace(storedData, name) {
+        this.stopWatching();
+        this.workspace = { name, displayPath: storedData.metadata.displayName || null };
+        this.readOnly = storedData.metadata.readOnly === true;
+        this.rootDirectoryHandle = storedData.handle;
+        this.currentDirectoryHandle = storedData.handle;
+        this.currentSubfolderPath = '';
+        localStorage.setItem(this.activeWorkspaceKey, name);
+
+        if (this.onRootDirectoryChanged) {
+            this.onRootDirectoryChanged(storedData.handle.name);
+        }
+        if (this.onDirectoryChanged) {
+            this.onDirectoryChanged(this.getFullCurrentPath());
+        }
+        await this.notifyWorkspacesChanged();
+
+        await this.loadLabConfig();
+        await this.scanForSamples();
+    }
+
+    async notifyWorkspacesChanged() {
+        if (this.onWorkspacesChanged) {
+            this.onWorkspacesChanged(await this.listWorkspaces(), this.workspace?.name || null);
+        }
+    }
+
+    /**
+     * Load the last used workspace, without checking access to it. A root
+     * directory stored before workspaces existed becomes a workspace named
+     * after its folder.
      */
     async loadRootDirectory() {
         try {
             console.log('Loading root directory from storage...');
-            const storedData = await this.storage.getDirectoryHandle('root');
-            console.log('Retrieved stored data:', storedData);
-            if (storedData) {
-                console.log('Found stored root directory:', storedData.metadata.name);
-                // Store the handle but don't verify access during startup
-                console.log('Root directory found in storage, setting up...');
-                this.rootDirectoryHandle = storedData.handle;
-                this.currentDirectoryHandle = storedData.handle;
-                this.currentSubfolderPath = '';
-                
-                if (this.onRootDirectoryChanged) {
-                    this.onRootDirectoryChanged(storedData.metadata.displayName || storedData.metadata.name);
-                }
-                
-                if (this.onDirectoryChanged) {
-                    this.onDirectoryChanged(this.getFullCurrentPath());
-                }
-                
-                // Try to scan for samples, but don't fail if permissions aren't available yet
-                try {
-                    await this.scanForSamples();
-                } catch (error) {
-                    console.log('Root directory loaded but permissions needed for file access');
-                }
-                return true;
+            const legacy = await this.storage.getDirectoryHandle('root');
+            if (legacy) {
+                const name = legacy.metadata.name;
+                await this.storage.storeDirectoryHandle(this.getWorkspaceKey(name), legacy.handle, {
+                    ...legacy.metadata,
+                    displayName: localStorage.getItem('nmr-root-path') || null
+                });
+                await this.storage.removeDirectoryHandle('root');
+                localStorage.removeItem('nmr-root-path');
+                localStorage.setItem(this.activeWorkspaceKey, name);
             }
-            return false;
+
+            const workspaces = await this.listWorkspaces();
+            const active = workspaces.find(workspace => workspace.name === localStorage.getItem(this.activeWorkspaceKey))
+                || workspaces[0];
+            if (!active) {
+                await this.notifyWorkspacesChanged();
+                return false;
+            }
+
+            console.log('Found stored workspace:', active.name);
+            const storedData = await this.storage.getDirectoryHandle(this.getWorkspaceKey(active.name));
+            // Try to scan for samples, but don't fail if permissions aren't available yet
+            try {
+                await this.activateWorkspace(storedData, active.name);
+            } catch (error) {
+                console.log('Root directory loaded but permissions needed for file access');
+            }
+            return true;
         } catch (error) {
             console.error('Error loading root directory:', error);
             return false;
         }
     }
 
+    /**
+     * Make sure we have read/write access to the root directory, asking if needed
+     */
+    async ensureRootPermission() {
+        if (!this.rootDirectoryHandle) {
+            throw new Error('No root directory set');
+        }
+
+        try {
+            const permissionStatus = await this.rootDirectoryHandle.queryPermission({ mode: this.permissionMode });
+            if (permissionStatus !== 'granted') {
+                console.log('Requesting root directory permissions...');
+                const requestStatus = await this.rootDirectoryHandle.requestPermission({ mode: this.permissionMode });
+                if (requestStatus !== 'granted') {
+                    throw new Error('Root directory access denied. Please grant permission or set a new root directory.');
+                }
+            }
+        } catch (permissionError) {
+            console.error('Permission error:', permissionError);
+            throw new Error('Root directory is no longer accessible. Please set a new root directory.');
+        }
+
+        // The lab config cannot be read at startup until access is granted
+        if (!this.labConfigLoaded) {
+            await this.loadLabConfig();
+        }
+    }
+
+    /**
+     * Read the lab config file from the root directory, if there is one,
+     * and merge it over the schema. A missing file clears any previous config.
+     */
+    async loadLabConfig() {
+        let config = null;
+        let error = null;
+        try {
+            const fileHandle = await this.rootDirectoryHandle.getFileHandle(this.labConfigFilename);
+            const file = await fileHandle.getFile();
+            config = JSON.parse(await file.text());
+        } catch (readError) {
+            if (readError.name === 'NotAllowedError') {
+                // No permission yet; retried by ensureRootPermission
+                this.labConfigLoaded = false;
+                return;
+            }
+            if (readError.name !== 'NotFoundError') {
+                console.error('Error reading lab config:', readError);
+                error = readError;
+            }
+        }
+
+        const warnings = this._schemaHandler ? this._schemaHandler.applyLabConfig(config) : [];
+        this.filenameTemplate = new FilenameTemplate(config?.filename);
+        warnings.push(...this.filenameTemplate.warnings);
+        this.labConfigLoaded = true;
+        if (this.onLabConfigChanged) {
+            this.onLabConfigChanged(config, error, warnings);
+        }
+    }
+
     /**
      * Navigate to a subfolder relative to root
      */
@@ -353,19 +1671,7 @@ class FileManager {
             let currentHandle = this.rootDirectoryHandle;
             
             // Try to verify permissions and request if needed
-            try {
-                const permissionStatus = await this.rootDirectoryHandle.queryPermission({ mode: 'readwrite' });
-                if (permissionStatus !== 'granted') {
-                    console.log('Requesting root directory permissions...');
-                    const requestStatus = await this.rootDirectoryHandle.requestPermission({ mode: 'readwrite' });
-                    if (requestStatus !== 'granted') {
-                        throw new Error('Root directory access denied. Please grant permission or set a new root directory.');
-                    }
-                }
-            } catch (permissionError) {
-                console.error('Permission error:', permissionError);
-                throw new Error('Root directory is no longer accessible. Please set a new root directory.');
-            }
+            await this.ensureRootPermission();
             const pathParts = subfolderPath.split('/').filter(part => part.length > 0);
             
             // Navigate through each path component
@@ -398,13 +1704,18 @@ class FileManager {
 
         try {
             const dirHandle = await window.showDirectoryPicker({
-                mode: 'readwrite'
+                mode: this.permissionMode
             });
             
             this.currentDirectoryHandle = dirHandle;
-            // Try to determine subfolder path relative to root if possible
-            // For now, just set as unknown subfolder
-            this.currentSubfolderPath = `.../${dirHandle.name}`;
+            // Use the path relative to root if the folder is inside it
+            let relativePath = null;
+            try {
+                relativePath = this.rootDirectoryHandle ? await this.rootDirectoryHandle.resolve(dirHandle) : null;
+            } catch (error) {
+                console.warn('Could not resolve folder against root directory:', error);
+            }
+            this.currentSubfolderPath = relativePath ? relativePath.join('/') : `.../${dirHandle.name}`;
             await this.scanForSamples();
             
             if (this.onDirectoryChanged) {
@@ -449,10 +1760,10 @@ class FileManager {
         if (!this.currentDirectoryHandle) return false;
         
         try {
-            const permissionStatus = await this.currentDirectoryHandle.queryPermission({ mode: 'readwrite' });
+            const permissionStatus = await this.currentDirectoryHandle.queryPermission({ mode: this.permissionMode });
             if (permissionStatus !== 'granted') {
                 console.log('Requesting current directory permissions...');
-                const requestStatus = await this.currentDirectoryHandle.requestPermission({ mode: 'readwrite' });
+                const requestStatus = await this.currentDirectoryHandle.requestPermission({ mode: this.permissionMode });
                 return requestStatus === 'granted';
             }
             return true;
@@ -465,13 +1776,13 @@ class FileManager {
     /**
      * Scan current directory for numbered experiment directories
      */
-    async scanExperimentDirectories() {
-        if (!this.currentDirectoryHandle) return [];
+    async scanExperimentDirectories(dirHandle = this.currentDirectoryHandle) {
+        if (!dirHandle) return [];
 
         const experimentDirs = [];
         
         try {
-            for await (const [name, handle] of this.currentDirectoryHandle.entries()) {
+            for await (const [name, handle] of dirHandle.entries()) {
                 if (handle.kind === 'directory' && /^\d+$/.test(name)) {
                     experimentDirs.push({
                         number: parseInt(name, 10),
@@ -491,68 +1802,154 @@ class FileManager {
     }
 
     /**
-     * Read experiment data from a numbered directory
+     * List the experiments in a dataset that were recorded during any of the
+     * given magnet intervals (see getMagnetIntervals), oldest first
+     * Returns [{ number, date, pulseProgram, title, holder }]
      */
-    async readExperimentData(expHandle) {
-        try {
-            let date = null;
-            let pulseProgram = null;
-            let title = null;
-            let holder = null;
+    async getExperimentsInIntervals(intervals, dirHandle = this.currentDirectoryHandle, path = this.currentSubfolderPath) {
+        const experiments = [];
+        for (const expDir of await this.scanExperimentDirectories(dirHandle)) {
+            const expData = await this.readExperimentData(expDir.handle, this.getCacheKey('experiment', expDir.name, path));
+            if (!expData || !expData.date) continue;
+            const inMagnet = intervals.some(interval => expData.date >= interval.start
+                && (interval.end === null || expData.date <= interval.end));
+            if (inMagnet) {
+                experiments.push({ number: expDir.number, ...expData });
+            }
+        }
+        return experiments.sort((a, b) => a.date - b.date);
+    }
 
-            // Read acqus for timestamp (DATE), pulse program, and HOLDER
-            try {
-                const acqusHandle = await expHandle.getFileHandle('acqus');
-                const acqusFile = await acqusHandle.getFile();
-                const acqusText = await acqusFile.text();
+    /**
+     * Read experiment data from a numbered directory, using the file cache
+     * (under cacheKey) while its acqus and title files are unchanged
+     */
+    async readExperimentData(expHandle, cacheKey = null) {
+        try {
+            const files = await this.getExperimentFiles(expHandle);
+            // acqus missing - skip this experiment
+            if (!files.acqus) return null;
 
-                const dateMatch = acqusText.match(/^##\$DATE= (\d+)/m);
-                if (dateMatch) {
-                    date = new Date(parseInt(dateMatch[1], 10) * 1000);
-                }
+            const stamp = JcampParser.parameterFiles.concat('title')
+                .map(name => files[name] ? this.getFileStamp(files[name]) : '')
+                .join('|');
+            const expData = await this.readCached(cacheKey, stamp, () => this.parseExperimentFiles(files));
+            if (!expData) return null;
 
-                const pulseMatch = acqusText.match(/^##\$PULPROG= <(.+?)>/m);
-                if (pulseMatch) {
-                    pulseProgram = pulseMatch[1];
-                }
+            return { ...expData, date: new Date(expData.date) };
+        } catch (error) {
+            console.error(`Error reading experiment data:`, error);
+            return null;
+        }
+    }
 
-                const holderMatch = acqusText.match(/^##\$HOLDER= (\d+)/m);
-                if (holderMatch) {
-                    holder = holderMatch[1];
-                }
+    /**
+     * Get the parameter files of an experiment folder: acqus, acqu2s and
+     * acqu3s, and procs, proc2s, proc3s and title from pdata/1. Missing
+     * files are left out.
+     */
+    async getExperimentFiles(expHandle) {
+        const files = {};
+        const readFile = async (dirHandle, name) => {
+            try {
+                files[name] = await (await dirHandle.getFileHandle(name)).getFile();
             } catch (error) {
-                // acqus missing - skip this experiment
-                return null;
+                // Not every experiment has every file (e.g. acqu2s only for 2D)
+            }
+        };
+
+        for (const name of ['acqus', 'acqu2s', 'acqu3s']) {
+            await readFile(expHandle, name);
+        }
+        try {
+            const pdata1Handle = await (await expHandle.getDirectoryHandle('pdata')).getDirectoryHandle('1');
+            for (const name of ['procs', 'proc2s', 'proc3s', 'title']) {
+                await readFile(pdata1Handle, name);
             }
+        } catch (error) {
+            // No processed data yet - that's okay
+        }
+        return files;
+    }
 
-            if (!date) return null;
+    /**
+     * Read and parse every parameter file of an experiment folder
+     * Returns { acqus, acqu2s, ..., procs, ... } of JcampParser.parse results
+     */
+    async readExperimentParameters(expHandle) {
+        const files = await this.getExperimentFiles(expHandle);
+        const parameters = {};
+        for (const name of JcampParser.parameterFiles) {
+            if (files[name]) {
+                parameters[name] = JcampParser.parse(await files[name].text());
+            }
+        }
+        return parameters;
+    }
 
-            // Read pdata/1/title for experiment title (optional)
-            try {
-                const pdataHandle = await expHandle.getDirectoryHandle('pdata');
-                const pdata1Handle = await pdataHandle.getDirectoryHandle('1');
-                const titleHandle = await pdata1Handle.getFileHandle('title');
-                const titleFile = await titleHandle.getFile();
-                const titleText = await titleFile.text();
-                
-                const firstLine = titleText.split('\n')[0].trim();
-                if (firstLine) {
-                    title = firstLine;
-                }
-            } catch (error) {
-                // title file missing or empty - that's okay
+    /**
+     * Parse the parameter and title files of an experiment (from getExperimentFiles)
+     * Returns { date (ms since epoch), pulseProgram, title, holder, acquisition },
+     * or null if undated. See summariseAcquisition for acquisition.
+     */
+    async parseExperimentFiles(files) {
+        const parsed = {};
+        for (const name of JcampParser.parameterFiles) {
+            if (files[name]) {
+                parsed[name] = JcampParser.parse(await files[name].text()).parameters;
             }
+        }
 
-            return {
-                date,
-                pulseProgram,
-                title,
-                holder
-            };
-        } catch (error) {
-            console.error(`Error reading experiment data:`, error);
-            return null;
+        const acqus = parsed.acqus;
+        if (typeof acqus.DATE !== 'number') return null;
+
+        let title = null;
+        if (files.title) {
+            const titleText = await files.title.text();
+            const firstLine = titleText.split('\n')[0].trim();
+            if (firstLine) {
+                title = firstLine;
+            }
         }
+
+        return {
+            date: acqus.DATE * 1000,
+            pulseProgram: typeof acqus.PULPROG === 'string' && acqus.PULPROG ? acqus.PULPROG : null,
+            title,
+            holder: acqus.HOLDER !== undefined ? String(acqus.HOLDER) : null,
+            acquisition: this.summariseAcquisition(parsed)
+        };
+    }
+
+    /**
+     * Pick out the acquisition parameters shown for an experiment
+     * Returns { field (BF1, MHz), ns, temperature (TE, K), probe, dimensions },
+     * with one dimension per acquisition file, direct dimension first:
+     * { nucleus, sfo (MHz), td, sw (ppm), swHz, si }
+     */
+    summariseAcquisition(parsed) {
+        const number = (value) => typeof value === 'number' ? value : null;
+        const text = (value) => typeof value === 'string' && value && value !== 'off' ? value : null;
+        const acqus = parsed.acqus;
+
+        const dimensions = [['acqus', 'procs'], ['acqu2s', 'proc2s'], ['acqu3s', 'proc3s']]
+            .filter(([acqu]) => parsed[acqu])
+            .map(([acqu, proc]) => ({
+                nucleus: text(parsed[acqu].NUC1),
+                sfo: number(parsed[acqu].SFO1),
+                td: number(parsed[acqu].TD),
+                sw: number(parsed[acqu].SW),
+                swHz: number(parsed[acqu].SW_h),
+                si: parsed[proc] ? number(parsed[proc].SI) : null
+            }));
+
+        return {
+            field: number(acqus.BF1),
+            ns: number(acqus.NS),
+            temperature: number(acqus.TE),
+            probe: text(acqus.PROBHD),
+            dimensions
+        };
     }
 
     /**
@@ -565,28 +1962,27 @@ class FileManager {
         for (const filename of this.getSampleFilenames()) {
             try {
                 const sampleData = await this.readSample(filename);
-                const metadata = sampleData.metadata || {};
                 const sampleLabel = sampleData.sample?.label || 'Unknown';
 
-                // Sample creation event
-                if (metadata.created_timestamp) {
-                    timelineEvents.push({
-                        timestamp: metadata.created_timestamp,
-                        type: 'Sample',
-                        event: 'Created',
-                        details: sampleLabel,
-                        rawTimestamp: new Date(metadata.created_timestamp)
-                    });
-                }
-
-                // Sample ejection event
-                if (metadata.ejected_timestamp) {
+                // One event per injection, ejection and storage
+                let injected = false;
+                for (const entry of this.getLifecycle(sampleData)) {
+                    let event = 'Stored';
+                    let details = entry.location ? `${sampleLabel} (${entry.location})` : sampleLabel;
+                    if (entry.event === 'inject') {
+                        event = injected ? 'Re-injected' : 'Created';
+                        injected = true;
+                        details = sampleLabel;
+                    } else if (entry.event === 'eject') {
+                        event = 'Ejected';
+                        details = sampleLabel;
+                    }
                     timelineEvents.push({
-                        timestamp: metadata.ejected_timestamp,
+                        timestamp: entry.timestamp,
                         type: 'Sample',
-                        event: 'Ejected',
-                        details: sampleLabel,
-                        rawTimestamp: new Date(metadata.ejected_timestamp)
+                        event,
+                        details,
+                        rawTimestamp: new Date(entry.timestamp)
                     });
                 }
             } catch (error) {
@@ -598,7 +1994,7 @@ class FileManager {
         const experimentDirs = await this.scanExperimentDirectories();
         for (const expDir of experimentDirs) {
             try {
-                const expData = await this.readExperimentData(expDir.handle);
+                const expData = await this.readExperimentData(expDir.handle, this.getCacheKey('experiment', expDir.name));
                 if (expData && expData.date && expData.pulseProgram) {
                     timelineEvents.push({
                         timestamp: expData.date.toISOString(),
@@ -607,6 +2003,7 @@ class FileManager {
                         details: expData.title || '',
                         experimentNumber: expDir.number,
                         holder: expData.holder,
+                        acquisition: expData.acquisition,
                         rawTimestamp: expData.date
                     });
                 }
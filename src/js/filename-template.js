@@ -0,0 +1,162 @@
+/**
+ * Filename Template - Builds and recognises sample filenames
+ * Desktop-only NMR Sample Manager
+ *
+ * Configured by the "filename" entry of the lab config:
+ *   template       e.g. "{date}_{time}_{label}"; must contain {label}
+ *   dateFormat     YYYY, MM and DD, e.g. "YYYY-MM-DD"
+ *   timeFormat     HH, mm and ss, e.g. "HHmmss"
+ *   timezone       "local", "UTC" or an IANA zone such as "Europe/London"
+ *   transliterate  true to write labels in ASCII (α -> alpha), false to keep
+ *                  non-ASCII letters and only replace unsafe characters
+ */
+
+class FilenameTemplate {
+    constructor(options = {}) {
+        this.warnings = [];
+        const defaults = FilenameTemplate.defaults;
+        const settings = { ...defaults, ...(options || {}) };
+
+        if (typeof settings.template !== 'string' || !settings.template.includes('{label}')
+            || /[\\/]/.test(settings.template)) {
+            this.warnings.push('filename: template must contain {label} and no / or \\ characters');
+            settings.template = defaults.template;
+        }
+        const unknownTokens = (settings.template.match(/\{[^}]*\}/g) || [])
+            .filter(token => !['{date}', '{time}', '{label}'].includes(token));
+        if (unknownTokens.length > 0) {
+            this.warnings.push(`filename: unknown template fields ${unknownTokens.join(', ')}`);
+            settings.template = defaults.template;
+        }
+
+        for (const key of ['dateFormat', 'timeFormat']) {
+            if (typeof settings[key] !== 'string' || /[\\/]/.test(settings[key])) {
+                this.warnings.push(`filename: ${key} must be a string without / or \\ characters`);
+                settings[key] = defaults[key];
+            }
+        }
+
+        const formatOptions = {
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            hourCycle: 'h23'
+        };
+        try {
+            this.dateTimeFormat = new Intl.DateTimeFormat('en-GB', {
+                ...formatOptions,
+                timeZone: settings.timezone === 'local' ? undefined : settings.timezone
+            });
+        } catch (error) {
+            this.warnings.push(`filename: unknown timezone ${settings.timezone}`);
+            settings.timezone = defaults.timezone;
+            this.dateTimeFormat = new Intl.DateTimeFormat('en-GB', formatOptions);
+        }
+
+        this.settings = settings;
+        this.pattern = this.buildPattern(settings);
+        this.defaultPattern = this.buildPattern(defaults);
+    }
+
+    static get defaults() {
+        return {
+            template: '{date}_{time}_{label}',
+            dateFormat: 'YYYY-MM-DD',
+            timeFormat: 'HHmmss',
+            timezone: 'local',
+            transliterate: true
+        };
+    }
+
+    /**
+     * Build the filename for a sample. A counter (_2, _3, ...) is added
+     * for as long as isTaken(filename) resolves true.
+     */
+    async generate(label, date = new Date(), isTaken = async () => false) {
+        const parts = {};
+        for (const part of this.dateTimeFormat.formatToParts(date)) {
+            parts[part.type] = part.value;
+        }
+        const fields = { YYYY: parts.year, MM: parts.month, DD: parts.day, HH: parts.hour, mm: parts.minute, ss: parts.second };
+        const formatFields = (format) => format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => fields[token]);
+
+        const stem = this.settings.template
+            .replace('{date}', () => formatFields(this.settings.dateFormat))
+            .replace('{time}', () => formatFields(this.settings.timeFormat))
+            .replace('{label}', () => this.cleanLabel(label));
+
+        let filename = `${stem}.json`;
+        for (let counter = 2; await isTaken(filename); counter++) {
+            filename = `${stem}_${counter}.json`;
+        }
+        return filename;
+    }
+
+    /**
+     * Check whether a filename was made by this template or the default one,
+     * so files named before a template change are still found
+     */
+    matches(filename) {
+        return this.pattern.test(filename) || this.defaultPattern.test(filename);
+    }
+
+    buildPattern({ template, dateFormat, timeFormat }) {
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const formatPattern = (format) => format.split(/(YYYY|MM|DD|HH|mm|ss)/)
+            .map((piece, i) => i % 2 === 1 ? (piece === 'YYYY' ? '\\d{4}' : '\\d{2}') : escape(piece))
+            .join('');
+
+        const source = template.split(/(\{date\}|\{time\}|\{label\})/)
+            .map(piece => {
+                if (piece === '{date}') return formatPattern(dateFormat);
+                if (piece === '{time}') return formatPattern(timeFormat);
+                if (piece === '{label}') return '.+?';
+                return escape(piece);
+            })
+            .join('');
+        return new RegExp(`^${source}(?:_\\d+)?\\.json$`, 'u');
+    }
+
+    /**
+     * Make a sample label safe for use in a filename
+     */
+    cleanLabel(label) {
+        let clean = String(label || '').normalize('NFC').trim();
+
+        if (this.settings.transliterate) {
+            // Strip accents first so that accented Greek letters are spelled out too
+            clean = clean.normalize('NFD').replace(/\p{M}/gu, '');
+            clean = Array.from(clean).map(char => FilenameTemplate.transliterations[char] || char).join('');
+            clean = clean.replace(/[^A-Za-z0-9_-]/g, '_');
+        } else {
+            // Characters not allowed on Windows or SMB shares, and whitespace
+            clean = clean.replace(/[\\/:*?"<>|\p{Cc}\s]/gu, '_');
+        }
+
+        clean = clean.replace(/_+/g, '_').replace(/^_|_$/g, '');
+        return clean || 'Sample';
+    }
+
+    /**
+     * Letters with no ASCII decomposition. Greek letters are spelled out, as
+     * they usually name things (α-synuclein, β-lactamase).
+     */
+    static get transliterations() {
+        if (!FilenameTemplate._transliterations) {
+            const greek = {
+                α: 'alpha', β: 'beta', γ: 'gamma', δ: 'delta', ε: 'epsilon', ζ: 'zeta',
+                η: 'eta', θ: 'theta', ι: 'iota', κ: 'kappa', λ: 'lambda', μ: 'mu',
+                ν: 'nu', ξ: 'xi', ο: 'omicron', π: 'pi', ρ: 'rho', σ: 'sigma', ς: 'sigma',
+                τ: 'tau', υ: 'upsilon', φ: 'phi', χ: 'chi', ψ: 'psi', ω: 'omega'
+            };
+            const map = { µ: 'mu', ß: 'ss', æ: 'ae', Æ: 'AE', ø: 'o', Ø: 'O', ł: 'l', Ł: 'L', đ: 'd', Đ: 'D', þ: 'th', Þ: 'Th' };
+            for (const [letter, name] of Object.entries(greek)) {
+                map[letter] = name;
+                if (letter !== 'ς') {
+                    map[letter.toUpperCase()] = name[0].toUpperCase() + name.slice(1);
+                }
+            }
+            FilenameTemplate._transliterations = map;
+        }
+        return FilenameTemplate._transliterations;
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * JCAMP Parser - Reads Bruker JCAMP-DX parameter files (acqus, acqu2s, procs, ...)
+ * Desktop-only NMR Sample Manager
+ *
+ * A parameter file is a list of labelled records:
+ *   ##TITLE= Parameter file, TopSpin 4.1.4     core record
+ *   ##$NS= 16                                  parameter
+ *   ##$NUC1= <1H>                              string
+ *   ##$P= (0..63)                              array, values on the lines below
+ *   0 9.5 19 0 ...
+ *   $$ 2023-10-09 14:25:11.123 +0100  nmrsu@spect    comment
+ *   ##END=
+ */
+
+class JcampParser {
+    /**
+     * Bruker parameter files of an experiment, by name
+     */
+    static get parameterFiles() {
+        return ['acqus', 'acqu2s', 'acqu3s', 'procs', 'proc2s', 'proc3s'];
+    }
+
+    /**
+     * Parse the text of a parameter file
+     * Returns { core, parameters, comments, audit }: core records (TITLE,
+     * JCAMPDX, ORIGIN, OWNER, ...) and $ parameters by name, with numbers as
+     * numbers, strings without their angle brackets and arrays as arrays.
+     * audit is { date, user, path } from the header comments, or null.
+     */
+    static parse(text) {
+        const result = { core: {}, parameters: {}, comments: [], audit: null };
+        let record = null;
+
+        const finish = () => {
+            if (!record) return;
+            const value = JcampParser.parseValue(record.lines.join('\n'));
+            if (record.label.startsWith('$')) {
+                result.parameters[record.label.slice(1)] = value;
+            } else {
+                result.core[record.label] = value;
+            }
+            record = null;
+        };
+
+        for (const line of String(text).split(/\r?\n/)) {
+            const labelled = line.match(/^##([^=]*)=\s?(.*)$/);
+            if (labelled) {
+                finish();
+                if (labelled[1] === 'END') break;
+                record = { label: labelled[1].trim(), lines: [labelled[2]] };
+            } else if (line.startsWith('$$') && !(record && JcampParser.inString(record.lines.join('\n')))) {
+                result.comments.push(line.slice(2).trim());
+            } else if (record) {
+                record.lines.push(line);
+            }
+        }
+        finish();
+
+        result.audit = JcampParser.parseAudit(result.comments);
+        return result;
+    }
+
+    /**
+     * Parse the value of a record: a number, a <string>, an array declared
+     * as (first..last), or the raw text if it is none of these
+     */
+    static parseValue(text) {
+        const array = text.match(/^\s*\((\d+)\.\.(\d+)\)([\s\S]*)$/);
+        if (array) {
+            const values = JcampParser.tokenize(array[3]);
+            const length = Number(array[2]) - Number(array[1]) + 1;
+            return values.length > length ? values.slice(0, length) : values;
+        }
+
+        const values = JcampParser.tokenize(text);
+        if (values.length === 1) return values[0];
+        return JcampParser.stripComment(text).trim();
+    }
+
+    /**
+     * Split text into values: <strings> (which may contain spaces and line
+     * breaks) and whitespace-separated numbers or words
+     */
+    static tokenize(text) {
+        const values = [];
+        const pattern = /<([^>]*)>|(\S+)/g;
+        const source = JcampParser.stripComment(text);
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            values.push(match[1] !== undefined ? match[1] : JcampParser.toNumber(match[2]));
+        }
+        return values;
+    }
+
+    /**
+     * Remove $$ comments outside strings
+     */
+    static stripComment(text) {
+        return text.replace(/<[^>]*>|\$\$[^\n]*/g, (part) => part.startsWith('<') ? part : '');
+    }
+
+    static inString(text) {
+        return /<[^>]*$/.test(JcampParser.stripComment(text));
+    }
+
+    static toNumber(token) {
+        return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(token) ? Number(token) : token;
+    }
+
+    /**
+     * Read the date, user and path TopSpin writes as comments after the
+     * header, e.g. "2023-10-09 14:25:11.123 +0100  nmrsu@spect" and the
+     * path of the file
+     */
+    static parseAudit(comments) {
+        const audit = { date: null, user: null, path: null };
+        for (const comment of comments) {
+            const stamp = comment.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}(?:\.\d+)?) ([-+]\d{2})(\d{2})\s+(\S+)/);
+            if (stamp && !audit.date) {
+                const date = new Date(`${stamp[1]}T${stamp[2]}${stamp[3]}:${stamp[4]}`);
+                audit.date = isNaN(date) ? null : date.toISOString();
+                audit.user = stamp[5];
+            } else if (!audit.path && /^(\/|[A-Za-z]:[\\/])/.test(comment)) {
+                audit.path = comment;
+            }
+        }
+        return audit.date || audit.path ? audit : null;
+    }
+}
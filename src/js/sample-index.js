@@ -0,0 +1,160 @@
+/**
+ * Sample Index - Searchable summary of every sample file under the root directory
+ * Desktop-only NMR Sample Manager
+ */
+
+class SampleIndex {
+    constructor(fileManager) {
+        this.fileManager = fileManager;
+        this.entries = [];
+        this.failed = []; // { path, filename, error } for files that could not be indexed
+        this.building = null; // Promise of the build in progress
+        this.generation = 0; // Raised by clear() so that a build already running is discarded
+        this.builtAt = null;
+        this.onProgress = null; // (done, total) during a build
+        this.onUpdated = null; // called when a build finishes
+    }
+
+    /**
+     * Walk the root directory and index every sample file. Concurrent calls
+     * share the build already in progress.
+     */
+    async build() {
+        if (!this.building) {
+            const building = this.runBuild().finally(() => {
+                if (this.building === building) this.building = null;
+            });
+            this.building = building;
+        }
+        return this.building;
+    }
+
+    /**
+     * Forget all entries, e.g. when the root directory changes
+     */
+    clear() {
+        this.generation++;
+        this.entries = [];
+        this.failed = [];
+        this.building = null;
+        this.builtAt = null;
+        if (this.onUpdated) this.onUpdated();
+    }
+
+    async runBuild() {
+        const generation = this.generation;
+        const files = await this.fileManager.findSampleFilesRecursive();
+        const migrations = this.fileManager.getMigrations();
+        const entries = [];
+        const failed = [];
+        const cacheKeys = [];
+
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            try {
+                cacheKeys.push(this.fileManager.getCacheKey('sample', file.filename, file.path));
+                let data = await this.fileManager.readSampleFileData(file.fileHandle, file.filename, file.path);
+                if (migrations) {
+                    data = migrateWithReport(data, migrations).data;
+                }
+                entries.push(this.summarise(file, data));
+            } catch (error) {
+                console.warn(`Could not index ${file.path}/${file.filename}:`, error);
+                failed.push({ path: file.path, filename: file.filename, error });
+            }
+            if (this.onProgress) this.onProgress(i + 1, files.length);
+        }
+
+        if (generation !== this.generation) return this.entries;
+
+        try {
+            await this.fileManager.pruneFileCache('sample', cacheKeys);
+        } catch (error) {
+            console.warn('Could not prune the file cache:', error);
+        }
+
+        this.entries = entries;
+        this.failed = failed;
+        this.builtAt = new Date();
+        if (this.onUpdated) this.onUpdated();
+        return entries;
+    }
+
+    /**
+     * Extract the searchable fields of a (migrated) sample
+     */
+    summarise(file, data) {
+        const metadata = data.metadata || {};
+        return {
+            path: file.path,
+            filename: file.filename,
+            dirHandle: file.dirHandle,
+            uuid: metadata.sample_uuid || null,
+            label: data.sample?.label || '',
+            components: (data.sample?.components || []).map(component => ({
+                name: component.name || '',
+                labelling: component.isotopic_labelling === 'custom'
+                    ? component.custom_labelling || 'custom'
+                    : component.isotopic_labelling || ''
+            })),
+            users: data.people?.users || [],
+            groups: data.people?.groups || [],
+            ph: typeof data.buffer?.ph === 'number' ? data.buffer.ph : null,
+            solvent: data.buffer?.solvent === 'custom'
+                ? data.buffer.custom_solvent || 'custom'
+                : data.buffer?.solvent || '',
+            tubeType: data.nmr_tube?.type || '',
+            created: metadata.created_timestamp ? new Date(metadata.created_timestamp) : null,
+            ejected: metadata.ejected_timestamp ? new Date(metadata.ejected_timestamp) : null,
+            intervals: this.fileManager.getMagnetIntervals(data)
+        };
+    }
+
+    /**
+     * Find every indexed record of a physical sample, oldest first
+     */
+    findByUuid(uuid) {
+        return this.entries
+            .filter(entry => entry.uuid === uuid)
+            .sort((a, b) => (a.created || 0) - (b.created || 0));
+    }
+
+    /**
+     * Find indexed samples matching all given criteria. Text criteria match
+     * case-insensitive substrings; a date range matches samples that were in
+     * the magnet at any time within it, in any of their injections. Results are newest first.
+     *
+     * Criteria: { label, component, labelling, user, group, phMin, phMax,
+     *             solvent, tubeType, dateFrom, dateTo }
+     */
+    search(criteria = {}) {
+        const contains = (value, text) => !text || String(value).toLowerCase().includes(text.toLowerCase());
+        const anyContains = (values, text) => !text || values.some(value => contains(value, text));
+
+        return this.entries.filter(entry => {
+            if (!contains(entry.label, criteria.label)) return false;
+            if (!anyContains(entry.components.map(c => c.name), criteria.component)) return false;
+            if (!anyContains(entry.components.map(c => c.labelling), criteria.labelling)) return false;
+            if (!anyContains(entry.users, criteria.user)) return false;
+            if (!anyContains(entry.groups, criteria.group)) return false;
+            if (!contains(entry.solvent, criteria.solvent)) return false;
+            if (!contains(entry.tubeType, criteria.tubeType)) return false;
+
+            if (criteria.phMin != null || criteria.phMax != null) {
+                if (entry.ph === null) return false;
+                if (criteria.phMin != null && entry.ph < criteria.phMin) return false;
+                if (criteria.phMax != null && entry.ph > criteria.phMax) return false;
+            }
+
+            if (criteria.dateFrom || criteria.dateTo) {
+                const inRange = entry.intervals.some(interval => {
+                    if (criteria.dateTo && interval.start > criteria.dateTo) return false;
+                    return !criteria.dateFrom || (interval.end || new Date()) >= criteria.dateFrom;
+                });
+                if (!inRange) return false;
+            }
+
+            return true;
+        }).sort((a, b) => (b.created || 0) - (a.created || 0));
+    }
+}
@@ -6,19 +6,33 @@
 class SchemaHandler {
     constructor() {
         this.schema = null;
-        this.currentVersion = '0.1.0';
+        this.currentVersion = null;
+        this.baseSchema = null; // Schema as loaded, before the lab config is merged in
+        this.labConfig = null;
+        // Schemas of all versions loaded so far, keyed by version number
+        this.schemaVersions = new Map();
     }
 
     /**
-     * Load schema from embedded data
+     * Load the given schema, defaulting to the embedded one
      */
-    async loadSchema() {
+    async loadSchema(schema = window.EMBEDDED_SCHEMA) {
         try {
-            if (window.EMBEDDED_SCHEMA) {
-                this.schema = window.EMBEDDED_SCHEMA;
+            if (schema) {
+                this.baseSchema = schema;
+                this.schema = schema;
+                this.currentVersion = this.schema.version || null;
+                if (!this.currentVersion) {
+                    console.warn('Loaded schema does not declare a version');
+                } else {
+                    this.schemaVersions.set(this.currentVersion, this.schema);
+                }
+                if (this.labConfig) {
+                    this.applyLabConfig(this.labConfig);
+                }
                 return this.schema;
             } else {
-                throw new Error('Embedded schema not found');
+                throw new Error('Schema not found');
             }
         } catch (error) {
             console.error('Error loading schema:', error);
@@ -26,6 +40,135 @@ class SchemaHandler {
         }
     }
 
+    /**
+     * Load the schema for a given version (e.g. '0.1.0').
+     * Uses embedded schemas in the offline build, otherwise fetches
+     * schemas/versions/v{version}/schema.json. Results are cached.
+     */
+    async loadSchemaVersion(version) {
+        if (this.schemaVersions.has(version)) {
+            return this.schemaVersions.get(version);
+        }
+
+        let schema;
+        if (window.EMBEDDED_SCHEMA_VERSIONS) {
+            schema = window.EMBEDDED_SCHEMA_VERSIONS[version];
+            if (!schema) {
+                throw new Error(`Schema version ${version} is not available`);
+            }
+        } else {
+            const response = await fetch(`schemas/versions/v${encodeURIComponent(version)}/schema.json`);
+            if (!response.ok) {
+                throw new Error(`Schema version ${version} is not available (HTTP ${response.status})`);
+            }
+            schema = await response.json();
+        }
+
+        this.schemaVersions.set(version, schema);
+        return schema;
+    }
+
+    /**
+     * Merge a lab config over the base schema, replacing any config merged before.
+     * Pass null to go back to the base schema. Returns a list of warnings for
+     * entries that could not be applied.
+     *
+     * Config keys (all paths are JSON Pointers into sample data, "*" for array items):
+     *   enums     { path: [options] }        add options to a field's list
+     *   fields    { "/extensions/name": {} } add a custom field (a schema for a scalar value)
+     *   defaults  { path: value }            set a field's default for new samples
+     *   required  [path]                     mark fields as required
+     *   ui        { path: { "ui:...": ...} } override uiSchema options, e.g. placeholders
+     */
+    applyLabConfig(config) {
+        this.labConfig = config;
+        this.schema = JSON.parse(JSON.stringify(this.baseSchema));
+        const warnings = [];
+        if (!config) return warnings;
+
+        for (const [pointer, field] of Object.entries(config.fields || {})) {
+            const segments = this.parsePointer(pointer);
+            const extensions = this.schema.properties?.extensions;
+            if (segments.length !== 2 || segments[0] !== 'extensions') {
+                warnings.push(`fields: ${pointer} - custom fields must be directly under /extensions`);
+            } else if (!extensions) {
+                warnings.push(`fields: ${pointer} - schema version ${this.currentVersion} has no extensions`);
+            } else if (!field || !['string', 'number', 'integer', 'boolean'].includes(field.type)) {
+                warnings.push(`fields: ${pointer} - type must be string, number, integer or boolean`);
+            } else {
+                extensions.properties = extensions.properties || {};
+                extensions.properties[segments[1]] = field;
+            }
+        }
+
+        for (const [pointer, options] of Object.entries(config.enums || {})) {
+            const node = this.findSchemaNode(pointer);
+            if (!node || !Array.isArray(node.enum) || !Array.isArray(options)) {
+                warnings.push(`enums: ${pointer} is not a field with a list of options`);
+                continue;
+            }
+            // Keep a trailing "custom" option last
+            const customIndex = node.enum.indexOf('custom');
+            const newOptions = options.filter(option => !node.enum.includes(option));
+            node.enum.splice(customIndex === -1 ? node.enum.length : customIndex, 0, ...newOptions);
+        }
+
+        for (const [pointer, value] of Object.entries(config.defaults || {})) {
+            const node = this.findSchemaNode(pointer);
+            if (!node) {
+                warnings.push(`defaults: ${pointer} is not a field in the schema`);
+                continue;
+            }
+            node.default = value;
+        }
+
+        for (const pointer of config.required || []) {
+            const segments = this.parsePointer(pointer);
+            const key = segments.pop();
+            const parent = this.findSchemaNode(SchemaHandler.formatPointer(segments));
+            if (!parent || !parent.properties || !(key in parent.properties)) {
+                warnings.push(`required: ${pointer} is not a field in the schema`);
+                continue;
+            }
+            parent.required = Array.from(new Set([...(parent.required || []), key]));
+        }
+
+        if (warnings.length > 0) {
+            console.warn('Some lab config entries could not be applied:', warnings);
+        }
+        return warnings;
+    }
+
+    /**
+     * Split a JSON Pointer into unescaped segments
+     */
+    parsePointer(pointer) {
+        if (!pointer) return [];
+        return pointer.replace(/^\//, '').split('/')
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+
+    static formatPointer(segments) {
+        return segments.map(segment => '/' + SchemaValidator.escapePointer(segment)).join('');
+    }
+
+    /**
+     * Find the schema node describing the data at a JSON Pointer ("*" or an
+     * index for array items). Returns null if the schema has no such field.
+     */
+    findSchemaNode(pointer) {
+        let node = this.schema;
+        for (const segment of this.parsePointer(pointer)) {
+            if (segment === '*' || /^\d+$/.test(segment)) {
+                node = node.items;
+            } else {
+                node = node.properties?.[segment];
+            }
+            if (!node || typeof node !== 'object') return null;
+        }
+        return node;
+    }
+
     /**
      * Get the current schema
      */
@@ -34,14 +177,54 @@ class SchemaHandler {
     }
 
     /**
-     * Validate data against the schema
+     * Get the schema for the edit form: without metadata, which is kept out of
+     * the form since the app maintains it, and the form would otherwise fill
+     * in defaults for it that fail validation (such as an empty source)
      */
-    validate(data) {
-        if (!this.schema) {
+    getFormSchema() {
+        const { metadata, ...properties } = this.schema.properties || {};
+        return {
+            ...this.schema,
+            properties,
+            required: (this.schema.required || []).filter(key => key !== 'metadata')
+        };
+    }
+
+    /**
+     * Get the version declared by the loaded schema (e.g. '0.2.0')
+     */
+    getSchemaVersion() {
+        return this.currentVersion;
+    }
+
+    /**
+     * Get the source URL identifying the loaded schema
+     */
+    getSchemaSource() {
+        return this.schema ? this.schema.$id || null : null;
+    }
+
+    /**
+     * Validate data against the current schema, or against the given one
+     * Returns a list of { path, keyword, message } errors; an empty list means valid
+     */
+    validate(data, schema = this.schema) {
+        if (!schema) {
             throw new Error('Schema not loaded');
         }
 
-        return typeof data === 'object' && data !== null;
+        if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+            return [{ path: '', keyword: 'type', message: 'must be object' }];
+        }
+
+        return new SchemaValidator(schema).validate(data);
+    }
+
+    /**
+     * Format validation errors as human-readable strings
+     */
+    formatValidationErrors(errors) {
+        return errors.map(error => `${error.path || '/'} ${error.message}`);
     }
 
     /**
@@ -52,41 +235,63 @@ class SchemaHandler {
             throw new Error('Schema not loaded');
         }
 
-        return {
-            people: {
-                users: []
-            },
-            sample: {
-                label: '',
-                physical_form: '',
-                components: []
-            },
-            buffer: {
-                components: [],
-                ph: null,
-                solvent: ''
-            },
-            nmr_tube: {
-                sample_volume_uL: null,
-                diameter: null,
-                type: ''
-            },
-            reference: {
-                labbook_entry: '',
-                sample_id: ''
-            },
-            notes: '',
-            metadata: {
-                schema_version: this.currentVersion
+        const data = this.buildDefaultValue(this.schema) || {};
+        if (!data.metadata) {
+            data.metadata = {};
+        }
+        data.metadata.schema_version = this.currentVersion;
+        // The lifecycle starts with the inject event added when the sample is first saved
+        delete data.metadata.lifecycle;
+
+        return data;
+    }
+
+    /**
+     * Build a default value for a schema node: its declared default if present,
+     * otherwise an object of child defaults, an empty array, or null where allowed.
+     * Returns undefined for fields that should be left out, including objects
+     * with required fields, which would not be valid empty.
+     */
+    buildDefaultValue(node) {
+        if (!node || typeof node !== 'object') return undefined;
+
+        if ('default' in node) {
+            return JSON.parse(JSON.stringify(node.default));
+        }
+
+        const types = Array.isArray(node.type) ? node.type : [node.type];
+
+        if (types.includes('object') || node.properties) {
+            if (Array.isArray(node.required) && node.required.length > 0) {
+                return undefined;
             }
-        };
+
+            const result = {};
+            for (const [key, child] of Object.entries(node.properties || {})) {
+                const value = this.buildDefaultValue(child);
+                if (value !== undefined) {
+                    result[key] = value;
+                }
+            }
+            return result;
+        }
+
+        if (types.includes('array')) {
+            return [];
+        }
+
+        if (types.includes('null')) {
+            return null;
+        }
+
+        return undefined;
     }
 
     /**
      * Get UI schema for form customization
      */
     getUISchema() {
-        return {
+        const uiSchema = {
             people: {
                 users: {
                     "ui:options": { orderable: false },
@@ -190,11 +395,21 @@ class SchemaHandler {
             notes: {
                 "ui:widget": "textarea",
                 "ui:placeholder": "Additional notes and observations"
-            },
-            metadata: {
-                "ui:widget": "hidden"
             }
         };
+
+        // Lab config entries are keyed by JSON Pointer, with "*" for array items
+        for (const [pointer, options] of Object.entries(this.labConfig?.ui || {})) {
+            let node = uiSchema;
+            for (const segment of this.parsePointer(pointer)) {
+                const key = segment === '*' ? 'items' : segment;
+                node[key] = node[key] || {};
+                node = node[key];
+            }
+            Object.assign(node, options);
+        }
+
+        return uiSchema;
     }
 
     /**
@@ -219,9 +434,85 @@ class SchemaHandler {
             delete cleaned.people.groups;
         }
 
+        if (cleaned.metadata?.lifecycle?.length === 0) {
+            delete cleaned.metadata.lifecycle;
+        }
+
+        // Keep extension fields that have a name, dropping blank rows added in the form
+        if (cleaned.extensions) {
+            for (const [key, value] of Object.entries(cleaned.extensions)) {
+                if (key === '' || value === undefined || value === '') {
+                    delete cleaned.extensions[key];
+                }
+            }
+        }
+
         return cleaned;
     }
 
+    /**
+     * Split data into the fields the schema describes and the unknown fields it
+     * does not allow, so that unknown fields can be kept out of the form and
+     * restored when the sample is saved.
+     * Returns { known, unknown }, where unknown is a list of { path, value }
+     * and path is an array of keys and array indices
+     */
+    splitUnknownFields(data) {
+        const known = JSON.parse(JSON.stringify(data));
+        const unknown = [];
+        this.collectUnknownFields(known, this.schema, [], unknown);
+        return { known, unknown };
+    }
+
+    /**
+     * Remove fields not allowed by a schema node from value, recording them in unknown
+     */
+    collectUnknownFields(value, node, path, unknown) {
+        if (!node || typeof node !== 'object' || value === null || typeof value !== 'object') return;
+
+        if (Array.isArray(value)) {
+            if (node.items && !Array.isArray(node.items)) {
+                value.forEach((item, i) => this.collectUnknownFields(item, node.items, [...path, i], unknown));
+            }
+            return;
+        }
+
+        const properties = node.properties || {};
+        for (const key of Object.keys(value)) {
+            if (key in properties) {
+                this.collectUnknownFields(value[key], properties[key], [...path, key], unknown);
+            } else if (node.additionalProperties === false) {
+                unknown.push({ path: [...path, key], value: value[key] });
+                delete value[key];
+            }
+        }
+    }
+
+    /**
+     * Restore unknown fields removed by splitUnknownFields. Fields belonging to
+     * array items that no longer exist are returned rather than restored.
+     */
+    mergeUnknownFields(data, unknown) {
+        const unplaced = [];
+        for (const field of unknown) {
+            let parent = data;
+            for (const key of field.path.slice(0, -1)) {
+                if (parent[key] === undefined && typeof key !== 'number') {
+                    parent[key] = {};
+                }
+                parent = parent[key];
+                if (parent === null || typeof parent !== 'object') break;
+            }
+
+            if (parent === null || typeof parent !== 'object') {
+                unplaced.push(field);
+            } else {
+                parent[field.path[field.path.length - 1]] = field.value;
+            }
+        }
+        return unplaced;
+    }
+
     /**
      * Get form validation messages
      */
@@ -0,0 +1,339 @@
+/**
+ * Schema Validator - Draft-07 JSON Schema validation with JSON Pointer error paths
+ * Desktop-only NMR Sample Manager
+ */
+
+class SchemaValidator {
+    constructor(rootSchema) {
+        this.rootSchema = rootSchema;
+    }
+
+    /**
+     * Validate data against the root schema
+     * Returns an array of { path, keyword, message } errors (empty if valid)
+     */
+    validate(data) {
+        const errors = [];
+        this.validateNode(data, this.rootSchema, '', errors);
+        return errors;
+    }
+
+    /**
+     * Escape a key for use as a JSON Pointer segment (RFC 6901)
+     */
+    static escapePointer(key) {
+        return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * Resolve a local $ref (e.g. "#/definitions/component") against the root schema
+     */
+    resolveRef(ref) {
+        if (ref === '#') return this.rootSchema;
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported $ref (only local references are supported): ${ref}`);
+        }
+
+        let node = this.rootSchema;
+        for (const part of ref.slice(2).split('/')) {
+            const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+            if (node === null || typeof node !== 'object' || !(key in node)) {
+                throw new Error(`Unresolvable $ref: ${ref}`);
+            }
+            node = node[key];
+        }
+        return node;
+    }
+
+    /**
+     * Get the JSON type name of a value, distinguishing integers
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? 'integer' : 'number';
+        }
+        return typeof value;
+    }
+
+    matchesType(value, type) {
+        const actual = this.typeOf(value);
+        if (type === 'number') return actual === 'number' || actual === 'integer';
+        return actual === type;
+    }
+
+    /**
+     * Deep equality for enum/const/uniqueItems comparisons
+     */
+    equals(a, b) {
+        if (a === b) return true;
+        if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') {
+            return false;
+        }
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        if (Array.isArray(a)) {
+            return a.length === b.length && a.every((item, i) => this.equals(item, b[i]));
+        }
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => key in b && this.equals(a[key], b[key]));
+    }
+
+    /**
+     * Check whether data is valid against a subschema without collecting errors
+     */
+    isValid(data, schema, path) {
+        const errors = [];
+        this.validateNode(data, schema, path, errors);
+        return errors.length === 0;
+    }
+
+    /**
+     * Validate a single value against a (sub)schema, pushing errors onto the list
+     */
+    validateNode(data, schema, path, errors) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            errors.push({ path, keyword: 'false', message: 'no value is allowed here' });
+            return;
+        }
+
+        if (schema.$ref) {
+            // In draft-07, $ref overrides any sibling keywords
+            this.validateNode(data, this.resolveRef(schema.$ref), path, errors);
+            return;
+        }
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this.matchesType(data, type))) {
+                errors.push({ path, keyword: 'type', message: `must be ${types.join(' or ')}` });
+                // Further keyword checks would only repeat the same problem
+                return;
+            }
+        }
+
+        if (schema.enum !== undefined && !schema.enum.some(option => this.equals(option, data))) {
+            const options = schema.enum.map(option => JSON.stringify(option)).join(', ');
+            errors.push({ path, keyword: 'enum', message: `must be one of: ${options}` });
+        }
+
+        if (schema.const !== undefined && !this.equals(schema.const, data)) {
+            errors.push({ path, keyword: 'const', message: `must be ${JSON.stringify(schema.const)}` });
+        }
+
+        const type = this.typeOf(data);
+        if (type === 'number' || type === 'integer') {
+            this.validateNumber(data, schema, path, errors);
+        } else if (type === 'string') {
+            this.validateString(data, schema, path, errors);
+        } else if (type === 'array') {
+            this.validateArray(data, schema, path, errors);
+        } else if (type === 'object') {
+            this.validateObject(data, schema, path, errors);
+        }
+
+        this.validateCombinators(data, schema, path, errors);
+    }
+
+    validateNumber(data, schema, path, errors) {
+        if (schema.minimum !== undefined && data < schema.minimum) {
+            errors.push({ path, keyword: 'minimum', message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && data > schema.maximum) {
+            errors.push({ path, keyword: 'maximum', message: `must be <= ${schema.maximum}` });
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && data <= schema.exclusiveMinimum) {
+            errors.push({ path, keyword: 'exclusiveMinimum', message: `must be > ${schema.exclusiveMinimum}` });
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && data >= schema.exclusiveMaximum) {
+            errors.push({ path, keyword: 'exclusiveMaximum', message: `must be < ${schema.exclusiveMaximum}` });
+        }
+        if (schema.multipleOf !== undefined) {
+            const quotient = data / schema.multipleOf;
+            if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+                errors.push({ path, keyword: 'multipleOf', message: `must be a multiple of ${schema.multipleOf}` });
+            }
+        }
+    }
+
+    validateString(data, schema, path, errors) {
+        // Count code points rather than UTF-16 units, as the spec requires
+        const length = Array.from(data).length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            errors.push({ path, keyword: 'minLength', message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            errors.push({ path, keyword: 'maxLength', message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(data)) {
+            errors.push({ path, keyword: 'pattern', message: `must match pattern ${schema.pattern}` });
+        }
+        if (schema.format !== undefined && !this.validateFormat(data, schema.format)) {
+            errors.push({ path, keyword: 'format', message: `must be a valid ${schema.format}` });
+        }
+    }
+
+    /**
+     * Check string formats; unknown formats are accepted, as the spec allows
+     */
+    validateFormat(data, format) {
+        switch (format) {
+            case 'date-time':
+                return /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(data)
+                    && !isNaN(Date.parse(data));
+            case 'date':
+                return /^\d{4}-\d{2}-\d{2}$/.test(data) && !isNaN(Date.parse(data));
+            case 'time':
+                return /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(data);
+            case 'email':
+                return /^[^\s@]+@[^\s@]+$/.test(data);
+            case 'uri':
+                return /^[a-zA-Z][a-zA-Z0-9+.-]*:\S*$/.test(data);
+            default:
+                return true;
+        }
+    }
+
+    validateArray(data, schema, path, errors) {
+        if (schema.minItems !== undefined && data.length < schema.minItems) {
+            errors.push({ path, keyword: 'minItems', message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+            errors.push({ path, keyword: 'maxItems', message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.uniqueItems) {
+            for (let i = 1; i < data.length; i++) {
+                if (data.slice(0, i).some(item => this.equals(item, data[i]))) {
+                    errors.push({ path: `${path}/${i}`, keyword: 'uniqueItems', message: 'duplicates an earlier item' });
+                }
+            }
+        }
+
+        if (Array.isArray(schema.items)) {
+            // Tuple validation
+            data.forEach((item, i) => {
+                const itemSchema = i < schema.items.length ? schema.items[i] : schema.additionalItems;
+                this.validateNode(item, itemSchema, `${path}/${i}`, errors);
+            });
+        } else if (schema.items !== undefined) {
+            data.forEach((item, i) => {
+                this.validateNode(item, schema.items, `${path}/${i}`, errors);
+            });
+        }
+
+        if (schema.contains !== undefined
+            && !data.some((item, i) => this.isValid(item, schema.contains, `${path}/${i}`))) {
+            errors.push({ path, keyword: 'contains', message: 'must contain at least one matching item' });
+        }
+    }
+
+    validateObject(data, schema, path, errors) {
+        const keys = Object.keys(data);
+
+        if (schema.required) {
+            for (const key of schema.required) {
+                if (!(key in data)) {
+                    errors.push({
+                        path: `${path}/${SchemaValidator.escapePointer(key)}`,
+                        keyword: 'required',
+                        message: 'is required'
+                    });
+                }
+            }
+        }
+
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push({ path, keyword: 'minProperties', message: `must have at least ${schema.minProperties} properties` });
+        }
+        if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+            errors.push({ path, keyword: 'maxProperties', message: `must have at most ${schema.maxProperties} properties` });
+        }
+
+        const properties = schema.properties || {};
+        const patterns = Object.keys(schema.patternProperties || {}).map(pattern => ({
+            regex: new RegExp(pattern, 'u'),
+            schema: schema.patternProperties[pattern]
+        }));
+
+        for (const key of keys) {
+            const childPath = `${path}/${SchemaValidator.escapePointer(key)}`;
+            let matched = false;
+
+            if (key in properties) {
+                matched = true;
+                this.validateNode(data[key], properties[key], childPath, errors);
+            }
+
+            for (const pattern of patterns) {
+                if (pattern.regex.test(key)) {
+                    matched = true;
+                    this.validateNode(data[key], pattern.schema, childPath, errors);
+                }
+            }
+
+            if (!matched && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath, keyword: 'additionalProperties', message: 'is not an allowed property' });
+                } else {
+                    this.validateNode(data[key], schema.additionalProperties, childPath, errors);
+                }
+            }
+
+            if (schema.propertyNames !== undefined && !this.isValid(key, schema.propertyNames, childPath)) {
+                errors.push({ path: childPath, keyword: 'propertyNames', message: 'property name is not allowed' });
+            }
+        }
+
+        if (schema.dependencies) {
+            for (const [key, dependency] of Object.entries(schema.dependencies)) {
+                if (!(key in data)) continue;
+                if (Array.isArray(dependency)) {
+                    for (const required of dependency) {
+                        if (!(required in data)) {
+                            errors.push({
+                                path: `${path}/${SchemaValidator.escapePointer(required)}`,
+                                keyword: 'dependencies',
+                                message: `is required when ${key} is present`
+                            });
+                        }
+                    }
+                } else {
+                    this.validateNode(data, dependency, path, errors);
+                }
+            }
+        }
+    }
+
+    validateCombinators(data, schema, path, errors) {
+        if (schema.allOf) {
+            schema.allOf.forEach(subschema => this.validateNode(data, subschema, path, errors));
+        }
+
+        if (schema.anyOf && !schema.anyOf.some(subschema => this.isValid(data, subschema, path))) {
+            errors.push({ path, keyword: 'anyOf', message: 'must match at least one allowed schema' });
+        }
+
+        if (schema.oneOf) {
+            const matches = schema.oneOf.filter(subschema => this.isValid(data, subschema, path)).length;
+            if (matches !== 1) {
+                errors.push({ path, keyword: 'oneOf', message: `must match exactly one allowed schema (matched ${matches})` });
+            }
+        }
+
+        if (schema.not !== undefined && this.isValid(data, schema.not, path)) {
+            errors.push({ path, keyword: 'not', message: 'must not match the excluded schema' });
+        }
+
+        if (schema.if !== undefined) {
+            if (this.isValid(data, schema.if, path)) {
+                this.validateNode(data, schema.then, path, errors);
+            } else {
+                this.validateNode(data, schema.else, path, errors);
+            }
+        }
+    }
+}
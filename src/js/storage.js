@@ -6,8 +6,13 @@
 class StorageHandler {
     constructor() {
         this.dbName = 'NMRSampleManager';
-        this.dbVersion = 1;
+        this.dbVersion = 4;
         this.storeName = 'directoryHandles';
+        this.definitionsStoreName = 'definitions';
+        this.fileCacheStoreName = 'fileCache';
+        // dbVersion in which the format of cached file data last changed;
+        // raise it together with dbVersion to discard entries in an old format
+        this.fileCacheFormatVersion = 4;
         this.db = null;
     }
 
@@ -15,6 +20,8 @@ class StorageHandler {
      * Initialize IndexedDB connection
      */
     async initialize() {
+        if (this.db) return;
+
         return new Promise((resolve, reject) => {
             const request = indexedDB.open(this.dbName, this.dbVersion);
 
@@ -37,6 +44,20 @@ class StorageHandler {
                     const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
                     store.createIndex('type', 'type', { unique: false });
                 }
+
+                // Create object store for cached schema and migration sets
+                if (!db.objectStoreNames.contains(this.definitionsStoreName)) {
+                    db.createObjectStore(this.definitionsStoreName, { keyPath: 'key' });
+                }
+
+                // Create (or reset) object store for parsed sample and experiment files
+                if (db.objectStoreNames.contains(this.fileCacheStoreName)
+                    && event.oldVersion < this.fileCacheFormatVersion) {
+                    db.deleteObjectStore(this.fileCacheStoreName);
+                }
+                if (!db.objectStoreNames.contains(this.fileCacheStoreName)) {
+                    db.createObjectStore(this.fileCacheStoreName, { keyPath: 'key' });
+                }
             };
         });
     }
@@ -164,20 +185,168 @@ class StorageHandler {
         });
     }
 
+    /**
+     * Store a schema and migration set with a key
+     */
+    async storeDefinitions(key, definitions) {
+        if (!this.db) {
+            throw new Error('Database not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.definitionsStoreName], 'readwrite');
+            const store = transaction.objectStore(this.definitionsStoreName);
+            const request = store.put({ ...definitions, key: key });
+
+            request.onsuccess = () => {
+                console.log(`Stored definitions: ${key}`);
+                resolve();
+            };
+
+            request.onerror = () => {
+                console.error(`Failed to store definitions: ${key}`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Retrieve a stored schema and migration set by key
+     */
+    async getDefinitions(key) {
+        if (!this.db) {
+            throw new Error('Database not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.definitionsStoreName], 'readonly');
+            const store = transaction.objectStore(this.definitionsStoreName);
+            const request = store.get(key);
+
+            request.onsuccess = () => {
+                resolve(request.result || null);
+            };
+
+            request.onerror = () => {
+                console.error(`Failed to retrieve definitions: ${key}`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Retrieve cached parsed data for a file by key
+     * Returns { key, stamp, value } or null
+     */
+    async getCachedFile(key) {
+        if (!this.db) {
+            throw new Error('Database not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.fileCacheStoreName], 'readonly');
+            const store = transaction.objectStore(this.fileCacheStoreName);
+            const request = store.get(key);
+
+            request.onsuccess = () => {
+                resolve(request.result || null);
+            };
+
+            request.onerror = () => {
+                console.error(`Failed to retrieve cached file: ${key}`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Store parsed data for a file. The stamp identifies the file contents
+     * it was parsed from (e.g. lastModified and size).
+     */
+    async storeCachedFile(key, stamp, value) {
+        if (!this.db) {
+            throw new Error('Database not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.fileCacheStoreName], 'readwrite');
+            const store = transaction.objectStore(this.fileCacheStoreName);
+            const request = store.put({ key, stamp, value });
+
+            request.onsuccess = () => {
+                resolve();
+            };
+
+            request.onerror = () => {
+                console.error(`Failed to store cached file: ${key}`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * List the keys of all cached files
+     */
+    async listCachedFileKeys() {
+        if (!this.db) {
+            throw new Error('Database not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.fileCacheStoreName], 'readonly');
+            const store = transaction.objectStore(this.fileCacheStoreName);
+            const request = store.getAllKeys();
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to list cached files:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Remove cached files by key
+     */
+    async removeCachedFiles(keys) {
+        if (!this.db) {
+            throw new Error('Database not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.fileCacheStoreName], 'readwrite');
+            const store = transaction.objectStore(this.fileCacheStoreName);
+            keys.forEach(key => store.delete(key));
+
+            transaction.oncomplete = () => {
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to remove cached files:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
     /**
      * Verify that a stored directory handle is still accessible
+     * with the given access mode ('readwrite' or 'read')
      */
-    async verifyDirectoryHandle(storedData, requireUserActivation = false) {
+    async verifyDirectoryHandle(storedData, requireUserActivation = false, mode = 'readwrite') {
         try {
             // Try to verify permission status first
-            const permissionStatus = await storedData.handle.queryPermission({ mode: 'readwrite' });
+            const permissionStatus = await storedData.handle.queryPermission({ mode });
             if (permissionStatus === 'granted') {
                 return true;
             }
 
             // Only try to request permission if user activation is available
             if (requireUserActivation) {
-                const requestStatus = await storedData.handle.requestPermission({ mode: 'readwrite' });
+                const requestStatus = await storedData.handle.requestPermission({ mode });
                 return requestStatus === 'granted';
             } else {
                 // During automatic loading, just check if we can access the handle
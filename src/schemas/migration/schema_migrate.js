@@ -5,11 +5,48 @@
  * and a loaded migrations array. It modifies the object in place and
  * returns it. This function is synchronous.
  *
+ * Call updateToSchema(data, targetVersion, migrations) to migrate to a
+ * specific version instead. This can also move backwards, undoing each
+ * block's operations in reverse order (see _invertOp). Like
+ * updateToLatestSchema it modifies the object in place and returns it.
+ *
+ * Call migrateWithReport(data, migrations, options) to also get a list of
+ * every change made, or with options.dryRun to preview the changes
+ * without touching data.
+ *
+ * Files without a recorded schema_version are identified from their key
+ * structure by detectSchemaVersion(data), which returns null if the
+ * version cannot be identified.
+ *
+ * Call getLatestMigrationVersion(migrations) to find the version the
+ * migration chain ends at.
+ *
  * Call loadMigrations() to fetch the migrations array. By default this
  * fetches from GitHub; pass a URL to override.
  *
  * Call loadSample(migrations) to open a sample JSON file via the File
  * System Access API. Returns the parsed and migrated object.
+ *
+ * Operations (paths are JSON Pointers; "*" matches every array element
+ * and a number selects one element):
+ *   set             {path, value}               set a value, creating parent objects and arrays
+ *   set_if_missing  {path, value}               set only where the key is absent
+ *   remove          {path, [value]}             delete; value is restored on downgrade
+ *   rename_key      {path, to}                  rename the last key in place
+ *   map             {path, from, to}            replace one exact value with another
+ *   move            {path, to}                  move values; "*" in to reuses the matched indices
+ *   copy            {path, to}                  as move, but keep the source
+ *   append          {path, value, [unique], [fields]}
+ *                                               push onto an array, creating it if missing;
+ *                                               fields copies sibling values into the pushed object,
+ *                                               and nothing is pushed if one is missing or null
+ *   split           {path, to, separator | pattern, [types]}
+ *                                               split a string into sibling keys
+ *   join            {path, from, [separator]}   join sibling keys into one string
+ *   noop            {path}                      change nothing; carries an "inverse" for
+ *                                               fields a version adds without a default
+ * Any operation may have a "when" guard on sibling values (see _guard) and
+ * an explicit "inverse" used when migrating backwards.
  */
 
 var MIGRATIONS_URL = "https://raw.githubusercontent.com/nmr-samples/schema/main/current/patch.json";
@@ -27,21 +64,35 @@ function _parsePath(path) {
 }
 
 
+function _isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+
+function _isIndex(seg, obj) {
+    return Array.isArray(obj) && /^\d+$/.test(seg) && Number(seg) < obj.length;
+}
+
+
 function _resolve(data, segments) {
     var results = [];
     if (!segments.length) return results;
 
-    function _walk(obj, depth) {
+    // Each result is [parent, key, concreteSegments], where concreteSegments
+    // is the matched path with wildcards replaced by array indices
+    function _walk(obj, depth, trail) {
         if (depth === segments.length - 1) {
             var seg = segments[depth];
             if (seg === "*") {
                 if (Array.isArray(obj)) {
                     for (var i = 0; i < obj.length; i++) {
-                        results.push([obj, i]);
+                        results.push([obj, i, trail.concat([i])]);
                     }
                 }
-            } else if (obj !== null && typeof obj === "object" && !Array.isArray(obj) && seg in obj) {
-                results.push([obj, seg]);
+            } else if (_isIndex(seg, obj)) {
+                results.push([obj, Number(seg), trail.concat([Number(seg)])]);
+            } else if (_isObject(obj) && seg in obj) {
+                results.push([obj, seg, trail.concat([seg])]);
             }
             return;
         }
@@ -50,71 +101,237 @@ function _resolve(data, segments) {
         if (seg === "*") {
             if (Array.isArray(obj)) {
                 for (var i = 0; i < obj.length; i++) {
-                    _walk(obj[i], depth + 1);
+                    _walk(obj[i], depth + 1, trail.concat([i]));
                 }
             }
-        } else if (obj !== null && typeof obj === "object" && !Array.isArray(obj) && seg in obj) {
-            _walk(obj[seg], depth + 1);
+        } else if (_isIndex(seg, obj)) {
+            _walk(obj[Number(seg)], depth + 1, trail.concat([Number(seg)]));
+        } else if (_isObject(obj) && seg in obj) {
+            _walk(obj[seg], depth + 1, trail.concat([seg]));
         }
     }
 
-    _walk(data, 0);
+    _walk(data, 0, []);
     return results;
 }
 
 
-function _ensureParents(data, segments) {
-    var obj = data;
-    for (var i = 0; i < segments.length - 1; i++) {
-        var seg = segments[i];
-        if (!(seg in obj) || typeof obj[seg] !== "object" || obj[seg] === null || Array.isArray(obj[seg])) {
-            obj[seg] = {};
+/**
+ * Find the containers (objects or arrays) that the last segment of a path
+ * refers into. Returns [container, concreteSegments] pairs. With create,
+ * missing objects (or arrays, where the next segment is an index) along
+ * non-wildcard parts of the path are created, an index one past the end of
+ * an array adds an element, and an index further out is an error.
+ */
+function _resolveContainers(data, segments, create) {
+    var results = [];
+
+    function _walk(obj, depth, trail) {
+        if (depth === segments.length - 1) {
+            if (obj !== null && typeof obj === "object") results.push([obj, trail]);
+            return;
+        }
+
+        var seg = segments[depth];
+        var next = segments[depth + 1];
+        if (seg === "*") {
+            if (Array.isArray(obj)) {
+                for (var i = 0; i < obj.length; i++) {
+                    _walk(obj[i], depth + 1, trail.concat([i]));
+                }
+            }
+        } else if (_isIndex(seg, obj)) {
+            _walk(obj[Number(seg)], depth + 1, trail.concat([Number(seg)]));
+        } else if (Array.isArray(obj) && /^\d+$/.test(seg)) {
+            if (!create) return;
+            if (Number(seg) !== obj.length) {
+                throw new Error("no array element at '" + _formatPath(trail.concat([Number(seg)])) + "'");
+            }
+            obj.push(_newContainer(next));
+            _walk(obj[obj.length - 1], depth + 1, trail.concat([Number(seg)]));
+        } else if (_isObject(obj)) {
+            var child = obj[seg];
+            var keepArray = Array.isArray(child) && (next === "*" || /^\d+$/.test(next));
+            if (create && (child === null || typeof child !== "object" || (Array.isArray(child) && !keepArray))) {
+                obj[seg] = _newContainer(next);
+            }
+            if (seg in obj) _walk(obj[seg], depth + 1, trail.concat([seg]));
+        }
+    }
+
+    // An array if the segment below it is an index, otherwise an object
+    function _newContainer(next) {
+        return /^\d+$/.test(next) ? [] : {};
+    }
+
+    if (segments.length) _walk(data, 0, []);
+    return results;
+}
+
+
+function _formatPath(segments) {
+    if (!segments.length) return "";
+    return "/" + segments.map(function (s) {
+        return String(s).replace(/~/g, "~0").replace(/\//g, "~1");
+    }).join("/");
+}
+
+
+/**
+ * Fill the wildcards of a target path with the array indices matched by the
+ * source path, in order. A target without wildcards is returned unchanged.
+ */
+function _substituteWildcards(op, toSegments, sourceSegments, pattern) {
+    var indices = [];
+    for (var i = 0; i < pattern.length; i++) {
+        if (pattern[i] === "*") indices.push(sourceSegments[i]);
+    }
+    var used = 0;
+    var result = toSegments.map(function (seg) {
+        if (seg !== "*") return seg;
+        if (used >= indices.length) {
+            throw new Error(op.op + ": target '" + op.to + "' has more wildcards than path '" + op.path + "'");
+        }
+        return indices[used++];
+    });
+    return result;
+}
+
+
+function _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+
+function _equal(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+
+// Record a change through the optional log callback supplied by the caller
+function _log(log, op, segments, oldValue, newValue, toSegments) {
+    if (!log) return;
+    log({
+        op: op.op,
+        path: _formatPath(segments),
+        to: toSegments ? _formatPath(toSegments) : undefined,
+        old_value: _clone(oldValue),
+        new_value: _clone(newValue)
+    });
+}
+
+
+function _require(op, fields) {
+    for (var i = 0; i < fields.length; i++) {
+        if (!(fields[i] in op)) {
+            throw new Error(op.op + ": missing '" + fields[i] + "' for path '" + op.path + "'");
+        }
+    }
+}
+
+
+/**
+ * Check an op's optional "when" guard against the object holding the
+ * matched value. "when" maps sibling keys to either a plain value (which
+ * must be equal) or a predicate: {"equals": v}, {"not": v}, {"in": [..]}
+ * or {"exists": true|false}.
+ */
+function _guard(op, parent) {
+    if (!op.when) return true;
+    if (!_isObject(parent)) return false;
+    for (var key in op.when) {
+        var expected = op.when[key];
+        var present = key in parent;
+        var actual = parent[key];
+        if (_isObject(expected)) {
+            if ("exists" in expected && present !== !!expected.exists) return false;
+            if ("equals" in expected && !_equal(actual, expected.equals)) return false;
+            if ("not" in expected && _equal(actual, expected.not)) return false;
+            if ("in" in expected && !expected["in"].some(function (v) { return _equal(v, actual); })) return false;
+        } else if (!present || !_equal(actual, expected)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+
+function _applySet(data, op, log) {
+    _require(op, ["value"]);
+    var segments = _parsePath(op.path);
+    var key = segments[segments.length - 1];
+    var containers = _resolveContainers(data, segments, segments.indexOf("*") === -1);
+    for (var i = 0; i < containers.length; i++) {
+        var obj = containers[i][0];
+        var k = Array.isArray(obj) ? Number(key) : key;
+        if (Array.isArray(obj) && !_isIndex(key, obj)) {
+            throw new Error("set: no array element at '" + _formatPath(containers[i][1].concat([key])) + "'");
+        }
+        if (!_guard(op, obj)) continue;
+        var oldValue = obj[k];
+        obj[k] = _clone(op.value);
+        if (!_equal(oldValue, op.value)) {
+            _log(log, op, containers[i][1].concat([k]), oldValue, op.value);
         }
-        obj = obj[seg];
     }
-    return [obj, segments[segments.length - 1]];
 }
 
 
-function _applySet(data, op) {
+function _applySetIfMissing(data, op, log) {
+    _require(op, ["value"]);
     var segments = _parsePath(op.path);
-    var pair = _ensureParents(data, segments);
-    pair[0][pair[1]] = op.value;
+    var key = segments[segments.length - 1];
+    var containers = _resolveContainers(data, segments, segments.indexOf("*") === -1);
+    for (var i = 0; i < containers.length; i++) {
+        var obj = containers[i][0];
+        if (!_isObject(obj)) {
+            throw new Error("set_if_missing: '" + _formatPath(containers[i][1]) + "' is not an object");
+        }
+        if (key in obj || !_guard(op, obj)) continue;
+        obj[key] = _clone(op.value);
+        _log(log, op, containers[i][1].concat([key]), undefined, op.value);
+    }
 }
 
 
-function _applyRemove(data, op) {
+function _applyRemove(data, op, log) {
     var segments = _parsePath(op.path);
     var matches = _resolve(data, segments);
     for (var i = 0; i < matches.length; i++) {
         var parent = matches[i][0];
         var key = matches[i][1];
-        if (typeof parent === "object" && !Array.isArray(parent)) {
+        if (typeof parent === "object" && !Array.isArray(parent) && _guard(op, parent)) {
+            _log(log, op, matches[i][2], parent[key], undefined);
             delete parent[key];
         }
     }
 }
 
 
-function _applyRenameKey(data, op) {
+function _applyRenameKey(data, op, log) {
+    _require(op, ["to"]);
     var segments = _parsePath(op.path);
     var to = op.to;
     var matches = _resolve(data, segments);
     for (var i = 0; i < matches.length; i++) {
         var parent = matches[i][0];
         var key = matches[i][1];
-        if (typeof parent === "object" && !Array.isArray(parent) && key in parent) {
+        if (typeof parent === "object" && !Array.isArray(parent) && key in parent && _guard(op, parent)) {
             if (to in parent) {
-                throw new Error("rename_key: target key '" + to + "' already exists at path '" + op.path + "'");
+                throw new Error("rename_key: target key '" + to + "' already exists at path '" +
+                    _formatPath(matches[i][2]) + "'");
             }
             parent[to] = parent[key];
             delete parent[key];
+            var fromSegments = matches[i][2];
+            _log(log, op, fromSegments, parent[to], parent[to], fromSegments.slice(0, -1).concat([to]));
         }
     }
 }
 
 
-function _applyMap(data, op) {
+function _applyMap(data, op, log) {
+    _require(op, ["from", "to"]);
     var segments = _parsePath(op.path);
     var fromVal = op.from;
     var toVal = op.to;
@@ -122,62 +339,458 @@ function _applyMap(data, op) {
     for (var i = 0; i < matches.length; i++) {
         var parent = matches[i][0];
         var key = matches[i][1];
-        if (parent[key] === fromVal) {
+        if (parent[key] === fromVal && _guard(op, parent)) {
             parent[key] = toVal;
+            _log(log, op, matches[i][2], fromVal, toVal);
         }
     }
 }
 
 
-function _applyMove(data, op) {
+// Shared by move and copy: each match of path goes to the target path,
+// with wildcards in the target filled from the matched array indices
+function _transfer(data, op, log, removeSource) {
+    _require(op, ["to"]);
     var segments = _parsePath(op.path);
-    var matches = _resolve(data, segments);
+    var toPattern = _parsePath(op.to);
+    var matches = _resolve(data, segments).filter(function (m) { return _guard(op, m[0]); });
     if (!matches.length) return;
-    var parent = matches[0][0];
-    var key = matches[0][1];
-    var value = parent[key];
-    delete parent[key];
-    var toSegments = _parsePath(op.to);
-    var pair = _ensureParents(data, toSegments);
-    pair[0][pair[1]] = value;
+    if (matches.length > 1 && toPattern.indexOf("*") === -1) {
+        throw new Error(op.op + ": path '" + op.path + "' matched " + matches.length +
+            " values but target '" + op.to + "' has no wildcard");
+    }
+
+    // Read every value before writing, so overlapping paths behave predictably
+    var values = matches.map(function (m) { return m[0][m[1]]; });
+    if (removeSource) {
+        for (var r = matches.length - 1; r >= 0; r--) {
+            var parent = matches[r][0];
+            if (Array.isArray(parent)) {
+                parent.splice(matches[r][1], 1);
+            } else {
+                delete parent[matches[r][1]];
+            }
+        }
+    }
+
+    for (var i = 0; i < matches.length; i++) {
+        var toSegments = _substituteWildcards(op, toPattern, matches[i][2], segments);
+        var containers = _resolveContainers(data, toSegments, true);
+        if (!containers.length) {
+            throw new Error(op.op + ": cannot create target '" + _formatPath(toSegments) + "'");
+        }
+        var container = containers[0][0];
+        var key = toSegments[toSegments.length - 1];
+        if (Array.isArray(container)) {
+            throw new Error(op.op + ": target '" + _formatPath(toSegments) + "' is inside an array; use append");
+        }
+        container[key] = removeSource ? values[i] : _clone(values[i]);
+        _log(log, op, matches[i][2], values[i], values[i], toSegments);
+    }
+}
+
+
+function _applyMove(data, op, log) {
+    _transfer(data, op, log, true);
+}
+
+
+function _applyCopy(data, op, log) {
+    _transfer(data, op, log, false);
+}
+
+
+/**
+ * Build the value an append pushes into one container. "fields" maps keys
+ * of the pushed object to sibling keys of the array, whose values are
+ * copied in (e.g. {"timestamp": "created_timestamp"}). Returns undefined,
+ * so nothing is pushed, if any of those siblings is missing.
+ */
+function _appendValue(op, obj) {
+    if (!op.fields) return _clone(op.value);
+    if (!_isObject(op.value)) {
+        throw new Error("append: 'fields' needs an object 'value' at path '" + op.path + "'");
+    }
+    var value = _clone(op.value);
+    for (var field in op.fields) {
+        // A missing or null sibling leaves nothing to record
+        if (obj[op.fields[field]] === undefined || obj[op.fields[field]] === null) return undefined;
+        value[field] = _clone(obj[op.fields[field]]);
+    }
+    return value;
+}
+
+
+function _applyAppend(data, op, log) {
+    _require(op, ["value"]);
+    var segments = _parsePath(op.path);
+    var key = segments[segments.length - 1];
+    var containers = _resolveContainers(data, segments, segments.indexOf("*") === -1);
+    for (var i = 0; i < containers.length; i++) {
+        var obj = containers[i][0];
+        var path = containers[i][1].concat([key]);
+        if (!_isObject(obj) || !_guard(op, obj)) continue;
+        var value = _appendValue(op, obj);
+        if (value === undefined) continue;
+        if (obj[key] === undefined || obj[key] === null) obj[key] = [];
+        if (!Array.isArray(obj[key])) {
+            throw new Error("append: value at '" + _formatPath(path) + "' is not an array");
+        }
+        var exists = obj[key].some(function (v) { return _equal(v, value); });
+        if (op.unique && exists) continue;
+        obj[key].push(value);
+        _log(log, op, path.concat([obj[key].length - 1]), undefined, value);
+    }
+}
+
+
+function _applyRemoveValue(data, op, log) {
+    // Inverse of append: drop the last element equal to the appended value
+    var segments = _parsePath(op.path);
+    var matches = _resolve(data, segments);
+    for (var i = 0; i < matches.length; i++) {
+        var arr = matches[i][0][matches[i][1]];
+        if (!Array.isArray(arr)) continue;
+        for (var j = arr.length - 1; j >= 0; j--) {
+            if (_equal(arr[j], op.value)) {
+                _log(log, op, matches[i][2].concat([j]), arr[j], undefined);
+                arr.splice(j, 1);
+                break;
+            }
+        }
+    }
+}
+
+
+function _applySplit(data, op, log) {
+    _require(op, ["to"]);
+    if (!("separator" in op) && !("pattern" in op)) {
+        throw new Error("split: need 'separator' or 'pattern' for path '" + op.path + "'");
+    }
+    var segments = _parsePath(op.path);
+    var matches = _resolve(data, segments);
+    for (var i = 0; i < matches.length; i++) {
+        var parent = matches[i][0];
+        var key = matches[i][1];
+        var path = _formatPath(matches[i][2]);
+        var value = parent[key];
+        if (!_isObject(parent) || value === null || value === undefined || value === "" || !_guard(op, parent)) continue;
+        if (typeof value !== "string") {
+            throw new Error("split: value at '" + path + "' is not a string");
+        }
+
+        var parts;
+        if ("pattern" in op) {
+            var match = new RegExp(op.pattern).exec(value);
+            if (!match) continue; // Values in another format are left alone
+            parts = match.slice(1);
+        } else {
+            parts = value.split(op.separator);
+            if (parts.length > op.to.length) {
+                // Keep any surplus in the last field rather than dropping it
+                parts = parts.slice(0, op.to.length - 1).concat([parts.slice(op.to.length - 1).join(op.separator)]);
+            }
+        }
+
+        var converted = {};
+        for (var j = 0; j < op.to.length; j++) {
+            var part = parts[j];
+            if (part === undefined || part === "") continue;
+            part = part.trim();
+            if (op.types && op.types[j] === "number") {
+                var number = Number(part);
+                if (isNaN(number)) {
+                    throw new Error("split: part '" + part + "' of '" + path + "' is not a number");
+                }
+                part = number;
+            }
+            converted[op.to[j]] = part;
+        }
+
+        delete parent[key];
+        for (var target in converted) {
+            if (target !== key && target in parent) {
+                throw new Error("split: target key '" + target + "' already exists next to '" + path + "'");
+            }
+            parent[target] = converted[target];
+        }
+        _log(log, op, matches[i][2], value, converted);
+    }
+}
+
+
+function _applyJoin(data, op, log) {
+    _require(op, ["from"]);
+    var separator = "separator" in op ? op.separator : " ";
+    var segments = _parsePath(op.path);
+    var key = segments[segments.length - 1];
+    var containers = _resolveContainers(data, segments, false);
+    for (var i = 0; i < containers.length; i++) {
+        var parent = containers[i][0];
+        if (!_isObject(parent) || !_guard(op, parent)) continue;
+
+        var parts = [];
+        var sources = {};
+        for (var j = 0; j < op.from.length; j++) {
+            var source = op.from[j];
+            if (!(source in parent)) continue;
+            var value = parent[source];
+            sources[source] = value;
+            if (value === null || value === "") continue;
+            if (typeof value === "object") {
+                throw new Error("join: value at '" + _formatPath(containers[i][1].concat([source])) + "' is not a string or number");
+            }
+            parts.push(String(value));
+        }
+        if (!parts.length) continue;
+
+        // The target may be one of the sources, which are removed below
+        if (key in parent && !(key in sources)) {
+            throw new Error("join: target '" + _formatPath(containers[i][1].concat([key])) + "' already exists");
+        }
+        for (var s in sources) delete parent[s];
+        parent[key] = parts.join(separator);
+        _log(log, op, containers[i][1].concat([key]), sources, parent[key]);
+    }
+}
+
+
+function _applyNoop() {
+    // Nothing to do on upgrade; only the inverse has an effect
+}
+
+
+function _applyRestore(data, op, log) {
+    // Inverse of remove: put the recorded value back wherever the parent
+    // object exists and the key is missing
+    var segments = _parsePath(op.path);
+    var key = segments[segments.length - 1];
+    var containers = _resolveContainers(data, segments, false);
+    for (var i = 0; i < containers.length; i++) {
+        var obj = containers[i][0];
+        if (_isObject(obj) && !(key in obj)) {
+            obj[key] = _clone(op.value);
+            _log(log, op, containers[i][1].concat([key]), undefined, op.value);
+        }
+    }
 }
 
 
 var _OPS = {
     "set": _applySet,
+    "set_if_missing": _applySetIfMissing,
     "remove": _applyRemove,
     "rename_key": _applyRenameKey,
     "map": _applyMap,
-    "move": _applyMove
+    "move": _applyMove,
+    "copy": _applyCopy,
+    "append": _applyAppend,
+    "split": _applySplit,
+    "join": _applyJoin,
+    "noop": _applyNoop,
+    "_restore": _applyRestore,
+    "_remove_value": _applyRemoveValue
 };
 
 
+/**
+ * Build the operations that undo op. An op may carry an explicit
+ * "inverse" (a single op or an array of ops); otherwise the inverse is
+ * derived. A remove can only be undone if it records the "value" to
+ * restore; without one the removed data is simply not brought back.
+ * set_if_missing cannot tell whether it added anything, so it is left as is.
+ */
+function _invertOp(op, block) {
+    if (op.inverse) return [].concat(op.inverse);
+
+    var segments = _parsePath(op.path);
+    switch (op.op) {
+        case "set":
+            if (_isVersionPath(op.path)) {
+                return [{ op: "set", path: op.path, value: block.from_version }];
+            }
+            return [{ op: "remove", path: op.path }];
+        case "set_if_missing":
+            return [];
+        case "remove":
+            if (!("value" in op)) return [];
+            return [{ op: "_restore", path: op.path, value: op.value }];
+        case "rename_key":
+            return [{
+                op: "rename_key",
+                path: _formatPath(segments.slice(0, -1).concat([op.to])),
+                to: segments[segments.length - 1]
+            }];
+        case "map":
+            return [{ op: "map", path: op.path, from: op.to, to: op.from }];
+        case "move":
+            return [{ op: "move", path: op.to, to: op.path }];
+        case "copy":
+            return [{ op: "remove", path: op.to }];
+        case "append":
+            // Values built from fields differ per file, so cannot be matched
+            if (op.fields) break;
+            return [{ op: "_remove_value", path: op.path, value: op.value }];
+        case "split":
+            // Only separator-based splits can be rejoined exactly
+            if ("separator" in op) {
+                return [{ op: "join", path: op.path, from: op.to, separator: op.separator }];
+            }
+            break;
+        case "join":
+            return [{ op: "split", path: op.path, to: op.from, separator: "separator" in op ? op.separator : " " }];
+        case "noop":
+            return [];
+    }
+    throw new Error("Operation '" + op.op + "' at path '" + op.path +
+        "' cannot be reversed; give it an explicit 'inverse'");
+}
+
+
+function _applyOps(data, operations, log) {
+    for (var j = 0; j < operations.length; j++) {
+        var op = operations[j];
+        var handler = _OPS[op.op];
+        if (!handler) throw new Error("Unknown operation '" + op.op + "' at path '" + op.path + "'");
+        handler(data, op, log);
+    }
+}
+
+
+// Build a log callback that appends entries, tagged with the version step, to report
+function _stepLogger(report, fromVersion, toVersion) {
+    if (!report) return null;
+    return function (entry) {
+        entry.from_version = fromVersion;
+        entry.to_version = toVersion;
+        report.push(entry);
+    };
+}
+
+
+function _applyBlock(data, block, report) {
+    _applyOps(data, block.operations, _stepLogger(report, block.from_version, _blockTarget(block)));
+}
+
+
+function _revertBlock(data, block, report) {
+    var log = _stepLogger(report, _blockTarget(block), block.from_version);
+    for (var i = block.operations.length - 1; i >= 0; i--) {
+        _applyOps(data, _invertOp(block.operations[i], block), log);
+    }
+}
+
+
+// Versions up to 0.0.2 kept their metadata under a title-case "Metadata" key
+function _isVersionPath(path) {
+    return path === "/metadata/schema_version" || path === "/Metadata/schema_version";
+}
+
+
 function _getVersion(data) {
-    if (!data.metadata || typeof data.metadata !== "object") return null;
-    var v = data.metadata.schema_version;
+    var metadata = _isObject(data.metadata) ? data.metadata : data.Metadata;
+    if (!_isObject(metadata)) return null;
+    var v = metadata.schema_version;
     return v === undefined ? null : v;
 }
 
 
+function _blockTarget(block) {
+    if (block.to_version) return block.to_version;
+    for (var i = block.operations.length - 1; i >= 0; i--) {
+        var op = block.operations[i];
+        if (op.op === "set" && _isVersionPath(op.path)) return op.value;
+    }
+    return null;
+}
+
+
+var _LEGACY_KEYS = ["Users", "Sample", "Buffer", "NMR Tube", "Laboratory Reference", "Notes", "Metadata"];
+var _CURRENT_KEYS = ["people", "sample", "buffer", "nmr_tube", "reference", "notes", "metadata"];
+
+
+/**
+ * Work out which schema version a sample was written with. The recorded
+ * schema_version is used if there is one; otherwise the version is inferred
+ * from the key structure, which tells apart the title-case 0.0.x layout,
+ * the 0.0.3 layout and the 0.1.0 layout. Synchronous.
+ * @param {Object} data - Parsed JSON sample object
+ * @returns {string|null} The version, or null if it cannot be identified
+ */
+function detectSchemaVersion(data) {
+    if (!_isObject(data)) return null;
+
+    var recorded = _getVersion(data);
+    if (recorded !== null) return recorded;
+
+    function hasAny(obj, keys) {
+        return _isObject(obj) && keys.some(function (k) { return k in obj; });
+    }
+
+    var components = data.sample && Array.isArray(data.sample.components) ? data.sample.components : [];
+    function componentsHave(key) {
+        return components.some(function (c) { return _isObject(c) && key in c; });
+    }
+
+    if (hasAny(data, _LEGACY_KEYS)) {
+        // 0.0.2 renamed "Sample Volume" to include its unit
+        return hasAny(data["NMR Tube"], ["Sample Volume (μL)"]) ? "0.0.2" : "0.0.1";
+    }
+
+    if (hasAny(data, _CURRENT_KEYS)) {
+        if (hasAny(data.nmr_tube, ["samplejet_rack_id", "samplejet_rack_position"]) || componentsHave("concentration")) {
+            return "0.0.3";
+        }
+        if (hasAny(data.sample, ["physical_form"]) || componentsHave("concentration_or_amount") ||
+            hasAny(data.nmr_tube, ["rack_id", "rotor_serial", "sample_mass_mg"])) {
+            return "0.1.0";
+        }
+    }
+
+    return null;
+}
+
+
+/**
+ * Find the version the migration chain ends at, i.e. the version a sample
+ * reaches after updateToLatestSchema. Synchronous.
+ * @param {Array} migrations - Loaded migrations array (from loadMigrations)
+ * @returns {string|null} The final version, or null if the chain is empty
+ */
+function getLatestMigrationVersion(migrations) {
+    var fromVersions = {};
+    for (var i = 0; i < migrations.length; i++) {
+        fromVersions[migrations[i].from_version] = true;
+    }
+    var latest = null;
+    for (var j = 0; j < migrations.length; j++) {
+        var target = _blockTarget(migrations[j]);
+        if (target !== null && !fromVersions[target]) {
+            if (latest !== null && latest !== target) {
+                throw new Error("Migration chain has more than one end version: " + latest + ", " + target);
+            }
+            latest = target;
+        }
+    }
+    return latest;
+}
+
+
 /**
  * Apply all applicable migrations to data. Synchronous.
  * @param {Object} data - Parsed JSON sample object (modified in place)
  * @param {Array} migrations - Loaded migrations array (from loadMigrations)
+ * @param {Array} [report] - If given, a change entry is pushed for each applied operation
  * @returns {Object} The migrated data
  */
-function updateToLatestSchema(data, migrations) {
+function updateToLatestSchema(data, migrations, report) {
     while (true) {
-        var version = _getVersion(data);
+        var version = detectSchemaVersion(data);
         var applied = false;
         for (var i = 0; i < migrations.length; i++) {
             var block = migrations[i];
             if (block.from_version === version) {
-                for (var j = 0; j < block.operations.length; j++) {
-                    var op = block.operations[j];
-                    var handler = _OPS[op.op];
-                    if (!handler) throw new Error("Unknown operation: " + op.op);
-                    handler(data, op);
-                }
+                _applyBlock(data, block, report);
                 applied = true;
                 break;
             }
@@ -188,6 +801,125 @@ function updateToLatestSchema(data, migrations) {
 }
 
 
+/**
+ * List every version the migration chain passes through, oldest first.
+ * @param {Array} migrations - Loaded migrations array (from loadMigrations)
+ * @returns {Array<string>}
+ */
+function getMigrationVersions(migrations) {
+    var targets = {};
+    for (var i = 0; i < migrations.length; i++) {
+        targets[_blockTarget(migrations[i])] = true;
+    }
+    var version = null;
+    for (var j = 0; j < migrations.length; j++) {
+        if (!targets[migrations[j].from_version]) {
+            version = migrations[j].from_version;
+            break;
+        }
+    }
+    var versions = [];
+    while (version !== null && versions.indexOf(version) === -1) {
+        versions.push(version);
+        var next = null;
+        for (var k = 0; k < migrations.length; k++) {
+            if (migrations[k].from_version === version) {
+                next = _blockTarget(migrations[k]);
+                break;
+            }
+        }
+        version = next;
+    }
+    return versions;
+}
+
+
+/**
+ * Migrate data forwards or backwards to a specific schema version. Synchronous.
+ * Going backwards undoes each block's operations in reverse order; data that
+ * a newer version dropped without recording a value is not restored.
+ * @param {Object} data - Parsed JSON sample object (modified in place)
+ * @param {string} targetVersion - Version to migrate to, e.g. "0.1.0"
+ * @param {Array} migrations - Loaded migrations array (from loadMigrations)
+ * @param {Array} [report] - If given, a change entry is pushed for each applied operation
+ * @returns {Object} The migrated data
+ */
+function updateToSchema(data, targetVersion, migrations, report) {
+    var version = detectSchemaVersion(data);
+    if (version === targetVersion) return data;
+
+    var blocksByFrom = {};
+    var blocksByTarget = {};
+    for (var i = 0; i < migrations.length; i++) {
+        blocksByFrom[migrations[i].from_version] = migrations[i];
+        blocksByTarget[_blockTarget(migrations[i])] = migrations[i];
+    }
+
+    // Plan the route first so that data is untouched if there is none
+    var forward = [];
+    var v = version;
+    while (v !== targetVersion && blocksByFrom[v] && forward.length < migrations.length) {
+        forward.push(blocksByFrom[v]);
+        v = _blockTarget(blocksByFrom[v]);
+    }
+    if (v === targetVersion) {
+        for (var f = 0; f < forward.length; f++) _applyBlock(data, forward[f], report);
+        return data;
+    }
+
+    var backward = [];
+    v = version;
+    while (v !== targetVersion && blocksByTarget[v] && backward.length < migrations.length) {
+        backward.push(blocksByTarget[v]);
+        v = blocksByTarget[v].from_version;
+    }
+    if (v === targetVersion) {
+        for (var b = 0; b < backward.length; b++) _revertBlock(data, backward[b], report);
+        return data;
+    }
+
+    throw new Error("No migration path from version " + version + " to " + targetVersion);
+}
+
+
+/**
+ * Migrate data and report every change made. Synchronous.
+ *
+ * Each change is { from_version, to_version, op, path, to, old_value,
+ * new_value }, where path (and to, for renames and moves) are concrete
+ * JSON Pointers with wildcards resolved to array indices.
+ *
+ * @param {Object} data - Parsed JSON sample object
+ * @param {Array} migrations - Loaded migrations array (from loadMigrations)
+ * @param {Object} [options]
+ * @param {string} [options.targetVersion] - Migrate to this version rather than the latest
+ * @param {boolean} [options.dryRun] - Leave data untouched and migrate a copy instead
+ * @returns {{data: Object, fromVersion: string|null, toVersion: string|null, detected: boolean, changes: Array}}
+ *   detected is true when fromVersion was inferred from the key structure
+ */
+function migrateWithReport(data, migrations, options) {
+    options = options || {};
+    var target = options.dryRun ? _clone(data) : data;
+    var fromVersion = detectSchemaVersion(target);
+    var detected = fromVersion !== null && _getVersion(target) === null;
+    var changes = [];
+
+    if (options.targetVersion) {
+        updateToSchema(target, options.targetVersion, migrations, changes);
+    } else {
+        updateToLatestSchema(target, migrations, changes);
+    }
+
+    return {
+        data: target,
+        fromVersion: fromVersion,
+        toVersion: detectSchemaVersion(target),
+        detected: detected,
+        changes: changes
+    };
+}
+
+
 /**
  * Fetch the migrations array from a URL or use embedded migrations.
  * @param {string} [url] - Defaults to MIGRATIONS_URL (GitHub raw). Pass null to force embedded mode.